@@ -1,7 +1,7 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { isInitializeRequest, SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import express from 'express';
 import cors from 'cors';
 import { WebSocketServer } from 'ws';
@@ -9,9 +9,45 @@ import { randomUUID } from 'node:crypto';
 import { AsyncLocalStorage } from 'node:async_hooks';
 import { z } from 'zod';
 import { fileURLToPath } from 'node:url';
-import { dirname, join } from 'node:path';
-import { existsSync, readFileSync } from 'node:fs';
-import { appleCrayonColorsHexStrings } from './src/utils/color/color.js';
+import { dirname, join, delimiter } from 'node:path';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, renameSync } from 'node:fs';
+import { homedir } from 'node:os';
+import {
+  appleCrayonColorsHexStrings,
+  hexToRgb,
+  rgbToHsl,
+  hueFamilyName,
+  describeColor,
+  formatColorWithName,
+  parseCssColor,
+  cssNamedColors,
+  colorTemperaturePresets,
+  kelvinToHex,
+  estimateColorTemperature,
+  parseColorTemperature,
+  nearestColorTemperaturePreset,
+  colorAdjustments,
+  adjustColor
+} from './src/utils/color/color.js';
+import {
+  lightingStyles,
+  keySideForModelYaw,
+  computeLightingStyle,
+  parseLightingRatio,
+  lightingRatioToStops,
+  intensitiesForRatio
+} from './src/utils/lighting/lighting.js';
+import { buildLightingDiagram } from './src/utils/lighting/diagram.js';
+import { elevationNames, parseAzimuthPhrase, parseElevationPhrase } from './src/utils/lighting/directionPhrases.js';
+import { paletteHarmonies, buildPalette, assignPaletteRoles } from './src/utils/color/palette.js';
+import { loadColorPalettes } from './src/utils/color/customPalettes.js';
+import { localeTables, foldLocaleWord, buildLocaleLookup } from './src/utils/locale/locales.js';
+import { WCAG_MIN_RATIO, APCA_MIN_LC, measureContrast, findCompliantBackground } from './src/utils/color/contrast.js';
+import { easingFunctions, interpolateValue, interpolateFields } from './src/utils/animation/animation.js';
+import { decodePng, encodePng } from './src/utils/image/png.js';
+import { composeContactSheet, rasterizeShapes } from './src/utils/image/raster.js';
+import { shapesToSvg } from './src/utils/image/svg.js';
+import { MID_GRAY, analyzeExposure, exposureCorrectionFactor } from './src/utils/image/exposure.js';
 
 // Parse command line arguments
 function parseCommandLineArgs() {
@@ -22,6 +58,18 @@ function parseCommandLineArgs() {
       args.browserUrl = process.argv[++i];
     } else if (arg.startsWith('--browser-url=')) {
       args.browserUrl = arg.split('=')[1];
+    } else if (arg === '--looks-dir') {
+      args.looksDir = process.argv[++i];
+    } else if (arg.startsWith('--looks-dir=')) {
+      args.looksDir = arg.split('=')[1];
+    } else if (arg === '--locales') {
+      args.locales = process.argv[++i];
+    } else if (arg.startsWith('--locales=')) {
+      args.locales = arg.split('=')[1];
+    } else if (arg === '--palette') {
+      args.palettes = [...(args.palettes ?? []), process.argv[++i]];
+    } else if (arg.startsWith('--palette=')) {
+      args.palettes = [...(args.palettes ?? []), arg.split('=')[1]];
     } else if (arg === '--help' || arg === '-h') {
       console.log(`
 Usage: node server.js [options]
@@ -29,12 +77,22 @@ Usage: node server.js [options]
 Options:
   --browser-url, -u <url>    Browser URL for the 3D app (e.g., https://your-app.netlify.app)
                              Overrides BROWSER_URL environment variable
+  --looks-dir <path>         Directory where saved scene looks are stored
+                             Overrides LOOKS_DIR environment variable
+  --palette <path>           JSON file of extra named colors (repeatable)
+                             Overrides COLOR_PALETTES environment variable
+  --locales <codes>          Comma-separated locales whose color and direction names
+                             are accepted (es, fr, de; default: all, "none" for English only)
+                             Overrides LOCALES environment variable
   --help, -h                 Show this help message
 
 Environment Variables:
   BROWSER_URL                Browser URL (used if --browser-url not provided)
   MCP_PORT                   MCP server port (default: 3000)
   WS_PORT                    WebSocket server port (default: 3001)
+  LOOKS_DIR                  Saved looks directory (default: ~/.hello3dmcp/looks)
+  COLOR_PALETTES             Color palette JSON files, separated by "${delimiter}"
+  LOCALES                    Accepted locales for color and direction names (default: all)
 
 Configuration Priority:
   1. Command line argument (--browser-url)
@@ -60,10 +118,72 @@ const WS_PORT = process.env.WS_PORT ? parseInt(process.env.WS_PORT, 10) : 3001;
 //           3) Default (localhost)
 // For .mcpb packages, configuration comes from manifest.json env defaults
 const BROWSER_URL = cliArgs.browserUrl || process.env.BROWSER_URL || 'http://localhost:5173';
+// Directory for saved scene looks (named snapshots that survive restarts)
+// Priority: 1) Command line argument (--looks-dir), 2) Environment variable (LOOKS_DIR),
+//           3) Default (~/.hello3dmcp/looks)
+const LOOKS_DIR = cliArgs.looksDir || process.env.LOOKS_DIR || join(homedir(), '.hello3dmcp', 'looks');
+// Custom color palette files (e.g., brand colors), see src/utils/color/customPalettes.js for the format
+// Priority: 1) Command line arguments (--palette, repeatable), 2) Environment variable (COLOR_PALETTES)
+const COLOR_PALETTE_FILES = cliArgs.palettes || (process.env.COLOR_PALETTES || '').split(delimiter).filter(Boolean);
+
+// Named colors from custom palettes, by palette name and merged into one lookup
+// Map<paletteName, Map<colorName, hex>> and Map<colorName, hex>
+const { palettes: customColorPalettes, warnings: customPaletteWarnings } = loadColorPalettes(COLOR_PALETTE_FILES);
+for (const warning of customPaletteWarnings) {
+  console.warn(warning);
+}
+const customColors = new Map(Array.from(customColorPalettes.values(), (colors) => Array.from(colors)).flat());
+
+// Locales whose color and direction names are accepted alongside English (see src/utils/locale/locales.js)
+// Priority: 1) Command line argument (--locales), 2) Environment variable (LOCALES), 3) Default (all registered locales)
+function parseActiveLocales(value) {
+  if (value === undefined) {
+    return Array.from(localeTables.keys());
+  }
+  const codes = value.split(',').map((code) => code.trim().toLowerCase()).filter((code) => code && code !== 'none');
+  for (const code of codes.filter((code) => !localeTables.has(code))) {
+    console.warn(`Unknown locale "${code}" ignored (available: ${Array.from(localeTables.keys()).join(', ')})`);
+  }
+  return codes.filter((code) => localeTables.has(code));
+}
+const ACTIVE_LOCALES = parseActiveLocales(cliArgs.locales ?? process.env.LOCALES);
+const activeLocaleNames = ACTIVE_LOCALES.map((code) => localeTables.get(code).name).join(', ');
+
+// Localized color names (e.g., "rojo") mapped to English color names
+const localizedColorNames = buildLocaleLookup('colors', ACTIVE_LOCALES);
+
+// Look up an Apple crayon color name (case-insensitive, with "sea foam" spelling variations)
+// Returns the lowercase hex code or null
+function lookupCrayonColor(colorInput) {
+  let normalizedName = colorInput.toLowerCase().trim();
+
+  // Handle "sea foam" variations (with space, without space, with hyphen)
+  if (normalizedName === 'seafoam' || normalizedName === 'sea-foam') {
+    normalizedName = 'sea foam';
+  }
+
+  return appleCrayonColorsHexStrings.get(normalizedName)?.toLowerCase() ?? null;
+}
+
+// Look up a named color: custom palette colors first, then Apple crayon colors
+// Returns the lowercase hex code or null
+function lookupNamedColor(colorInput) {
+  return customColors.get(colorInput.toLowerCase().trim()) ?? lookupCrayonColor(colorInput);
+}
+
+// Look up a color name in the active locales (e.g., "rojo", "bleu ciel", "weiß")
+// Returns the lowercase hex code or null
+function lookupLocalizedColor(colorInput) {
+  const englishName = localizedColorNames.get(foldLocaleWord(colorInput));
+  return englishName ? (lookupNamedColor(englishName) ?? parseCssColor(englishName).hex ?? null) : null;
+}
 
 /**
- * Converts a color input (hex code or Apple crayon color name) to a hex code
- * @param {string} colorInput - Either a hex code (e.g., "#ff0000") or an Apple crayon color name (e.g., "maraschino")
+ * Converts a color input to a hex code
+ * Custom palette and Apple crayon names take precedence over CSS named colors that share a name (e.g., "lime", "magenta")
+ * @param {string} colorInput - A hex code (e.g., "#ff0000", "#f00"), a custom palette color name (e.g., "brand-red"),
+ *   an Apple crayon color name (e.g., "maraschino"), a CSS named color (e.g., "rebeccapurple"),
+ *   an rgb(), hsl(), hwb() or oklch() color, or a color name in an active locale (e.g., "rojo")
  * @returns {string|null} Hex color code or null if invalid
  */
 function normalizeColorToHex(colorInput) {
@@ -76,22 +196,61 @@ function normalizeColorToHex(colorInput) {
     return colorInput.toLowerCase();
   }
   
-  // Normalize the input: lowercase, trim, and handle variations
-  let normalizedName = colorInput.toLowerCase().trim();
-  
-  // Handle "sea foam" variations (with space, without space, with hyphen)
-  if (normalizedName === 'seafoam' || normalizedName === 'sea-foam') {
-    normalizedName = 'sea foam';
+  // Try to find it as a custom palette or Apple crayon color name
+  const namedColor = lookupNamedColor(colorInput);
+  if (namedColor) {
+    return namedColor;
   }
-  
-  // Try to find it as an Apple crayon color name
-  const hexColor = appleCrayonColorsHexStrings.get(normalizedName);
-  
-  if (hexColor) {
-    return hexColor.toLowerCase();
+
+  // Fall back to CSS color syntax, then to localized color names
+  return parseCssColor(colorInput).hex ?? lookupLocalizedColor(colorInput);
+}
+
+// Format a color for getter responses with its nearest crayon name, e.g., "#fe2200 (≈ maraschino, ΔE 1.2)"
+function formatColorValue(color) {
+  const hex = normalizeColorToHex(color);
+  return hex ? formatColorWithName(hex) : color;
+}
+
+// Format a light color for getter responses, adding its color temperature when it is a white light,
+// e.g., "#ffbe7a (≈ cantaloupe, ΔE 4.1), temperature ≈ 3190K (tungsten)"
+function formatLightColorValue(color) {
+  const hex = normalizeColorToHex(color);
+  if (!hex) {
+    return color;
   }
-  
-  return null;
+  const temperature = estimateColorTemperature(hex);
+  if (!temperature) {
+    return `${formatColorWithName(hex)}, temperature n/a (not a white light)`;
+  }
+  const preset = nearestColorTemperaturePreset(temperature.kelvin);
+  return `${formatColorWithName(hex)}, temperature ≈ ${temperature.kelvin}K${preset ? ` (${preset})` : ''}`;
+}
+
+/**
+ * Resolve the color of a light color setter given either a color or a color temperature
+ * @param {object} input
+ * @param {string} [input.color] - Any color accepted by colorSchema
+ * @param {number|string} [input.temperature] - Kelvin or preset name (see parseColorTemperature)
+ * @returns {{hex: string, label: string}|{error: string}} Hex code and how to describe it, or an error
+ */
+function resolveLightColor({ color, temperature }) {
+  if ((color === undefined) === (temperature === undefined)) {
+    return { error: 'Provide either color or temperature (but not both).' };
+  }
+  if (temperature !== undefined) {
+    const parsed = parseColorTemperature(temperature);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    const hex = kelvinToHex(parsed.kelvin);
+    return { hex, label: `${parsed.kelvin}K${parsed.preset ? ` ${parsed.preset}` : ''} (${hex})` };
+  }
+  const hex = normalizeColorToHex(color);
+  if (!hex) {
+    return { error: `Invalid color: ${color}. Please use a hex code (e.g., "#ffffff"), a CSS color or an Apple crayon color name.` };
+  }
+  return { hex, label: /^#[0-9A-Fa-f]{6}$/.test(color) ? hex : `${color} (${hex})` };
 }
 
 // Store connected WebSocket clients by session ID
@@ -109,6 +268,20 @@ const sessionStateCache = new Map();
 // Default timeout for state queries (2 seconds)
 const STATE_QUERY_TIMEOUT = 2000;
 
+// Store pending command acknowledgements for request-response correlation
+// Map<requestId, {resolve, reject, timeout, sessionId}>
+const pendingCommandAcks = new Map();
+
+// Default timeout for command acknowledgements (2 seconds)
+const COMMAND_ACK_TIMEOUT = 2000;
+
+// Store pending screenshot requests for request-response correlation
+// Map<requestId, {resolve, reject, timeout, sessionId}>
+const pendingScreenshotRequests = new Map();
+
+// Default timeout for screenshot requests (10 seconds - rendering and encoding take longer than state queries)
+const SCREENSHOT_TIMEOUT = 10000;
+
 // Create WebSocket server for browser communication
 const wss = new WebSocketServer({ port: WS_PORT });
 
@@ -169,11 +342,13 @@ wss.on('connection', (ws) => {
         
         // Handle state update messages (push updates)
         if (data.type === 'stateUpdate' && data.state) {
+          const previousState = sessionStateCache.get(sessionId)?.state;
           sessionStateCache.set(sessionId, {
             state: data.state,
             timestamp: data.timestamp || Date.now()
           });
           console.warn(`State cache updated for session ${sessionId}`);
+          notifySceneResourceSubscribers(sessionId, previousState, data.state);
           return;
         }
         
@@ -188,6 +363,54 @@ wss.on('connection', (ws) => {
           return;
         }
         
+        // Handle screenshot response messages
+        if (data.type === 'screenshotResponse' && data.requestId) {
+          const request = pendingScreenshotRequests.get(data.requestId);
+          if (request) {
+            clearTimeout(request.timeout);
+            pendingScreenshotRequests.delete(data.requestId);
+            request.resolve({ data: data.data, mimeType: data.mimeType });
+          } else {
+            console.warn(`Received screenshot response for unknown requestId: ${data.requestId}`);
+          }
+          return;
+        }
+
+        // Handle screenshot error messages
+        if (data.type === 'screenshotError' && data.requestId) {
+          const request = pendingScreenshotRequests.get(data.requestId);
+          if (request) {
+            clearTimeout(request.timeout);
+            pendingScreenshotRequests.delete(data.requestId);
+            request.reject(new Error(data.error || 'Screenshot capture failed'));
+          }
+          return;
+        }
+
+        // Handle command acknowledgement messages
+        if (data.type === 'commandAck' && data.requestId) {
+          const pending = pendingCommandAcks.get(data.requestId);
+          if (pending) {
+            clearTimeout(pending.timeout);
+            pendingCommandAcks.delete(data.requestId);
+            pending.resolve();
+          } else {
+            console.warn(`Received command ack for unknown requestId: ${data.requestId}`);
+          }
+          return;
+        }
+
+        // Handle command error messages (browser could not apply the command)
+        if (data.type === 'commandError' && data.requestId) {
+          const pending = pendingCommandAcks.get(data.requestId);
+          if (pending) {
+            clearTimeout(pending.timeout);
+            pendingCommandAcks.delete(data.requestId);
+            pending.reject(new Error(data.error || 'Command failed'));
+          }
+          return;
+        }
+
         // Handle other messages (for testing/debugging)
         console.warn(`Received command from client (session ${sessionId}):`, data);
         // Note: We no longer broadcast client-to-client messages
@@ -210,12 +433,31 @@ wss.on('connection', (ws) => {
       wsClients.delete(sessionId);
       // Clear state cache for disconnected session
       sessionStateCache.delete(sessionId);
+      // Stop any turntable or timeline playback driving the disconnected browser
+      stopTurntable(sessionId);
+      pauseTimeline(sessionTimelines.get(sessionId));
       // Reject any pending queries for this session
       for (const [requestId, query] of pendingStateQueries.entries()) {
         clearTimeout(query.timeout);
         pendingStateQueries.delete(requestId);
         query.reject(new Error('Browser disconnected'));
       }
+      // Reject any pending command acknowledgements for this session
+      for (const [requestId, pending] of pendingCommandAcks.entries()) {
+        if (pending.sessionId === sessionId) {
+          clearTimeout(pending.timeout);
+          pendingCommandAcks.delete(requestId);
+          pending.reject(new Error('Browser disconnected'));
+        }
+      }
+      // Reject any pending screenshot requests for this session
+      for (const [requestId, request] of pendingScreenshotRequests.entries()) {
+        if (request.sessionId === sessionId) {
+          clearTimeout(request.timeout);
+          pendingScreenshotRequests.delete(requestId);
+          request.reject(new Error('Browser disconnected'));
+        }
+      }
     } else {
       console.warn('Browser client disconnected (unregistered)');
     }
@@ -261,6 +503,82 @@ function waitForStateResponse(requestId, timeout = STATE_QUERY_TIMEOUT) {
   });
 }
 
+// Wait for a command acknowledgement from the browser
+// Returns a Promise that resolves on commandAck or rejects on commandError/timeout
+function waitForCommandAck(requestId, sessionId, timeout = COMMAND_ACK_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      pendingCommandAcks.delete(requestId);
+      reject(new Error('Browser did not acknowledge the command (timeout)'));
+    }, timeout);
+
+    pendingCommandAcks.set(requestId, {
+      resolve,
+      reject,
+      timeout: timeoutId,
+      sessionId
+    });
+  });
+}
+
+// Wait for a screenshot from the browser
+// Returns a Promise that resolves with {data, mimeType} or rejects on screenshotError/timeout
+function waitForScreenshotResponse(requestId, sessionId, timeout = SCREENSHOT_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      pendingScreenshotRequests.delete(requestId);
+      reject(new Error('Screenshot request timeout'));
+    }, timeout);
+
+    pendingScreenshotRequests.set(requestId, {
+      resolve,
+      reject,
+      timeout: timeoutId,
+      sessionId
+    });
+  });
+}
+
+/**
+ * Capture a screenshot of the rendered scene from a session's browser
+ * @param {string} sessionId
+ * @param {object} options
+ * @param {number} [options.width] - Image width in pixels (defaults to the canvas size)
+ * @param {number} [options.height] - Image height in pixels (defaults to the canvas size)
+ * @param {string} [options.format] - 'png' or 'jpeg' (defaults to png)
+ * @param {number} [options.timeout] - Milliseconds to wait for the browser
+ * @returns {Promise<{data: string, mimeType: string}>} Base64 image data (without data URL prefix)
+ */
+async function captureScreenshotFromBrowser(sessionId, { width, height, format = 'png', timeout = SCREENSHOT_TIMEOUT } = {}) {
+  const requestId = generateRequestId();
+  const requestedMimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+
+  const sent = sendToSession(sessionId, {
+    type: 'captureScreenshot',
+    requestId: requestId,
+    width,
+    height,
+    mimeType: requestedMimeType
+  });
+
+  if (!sent) {
+    throw new Error('Browser not connected');
+  }
+
+  const response = await waitForScreenshotResponse(requestId, sessionId, timeout);
+
+  // Accept both raw base64 and data URLs (canvas.toDataURL)
+  const dataUrlMatch = /^data:(image\/[\w+.-]+);base64,/.exec(response.data || '');
+  const data = dataUrlMatch ? response.data.slice(dataUrlMatch[0].length) : response.data;
+  if (!data) {
+    throw new Error('Browser returned an empty screenshot');
+  }
+  return {
+    data,
+    mimeType: dataUrlMatch?.[1] || response.mimeType || requestedMimeType
+  };
+}
+
 // Query state from browser (with optional force refresh)
 async function queryStateFromBrowser(sessionId) {
   const requestId = generateRequestId();
@@ -342,31 +660,168 @@ async function queryFreshStateForManipulation(sessionId) {
 const sessionContext = new AsyncLocalStorage();
 
 // Helper function for tool handlers to route commands to the current request's session
+// Each command carries a requestId and resolves once the browser acknowledges it
+// Returns {success: boolean, error?: string}
 // Note: getCurrentSessionId() is defined later after isStdioMode and STDIO_SESSION_ID are declared
-function routeToCurrentSession(command) {
+async function routeToCurrentSession(command) {
   const sessionId = sessionContext.getStore();
   if (sessionId) {
     console.error(`Routing command to session: ${sessionId}`, command.type);
-    sendToSession(sessionId, command);
+    return await sendCommandToSession(sessionId, command);
   } else if (isStdioMode) {
     // In STDIO mode, route to the unique STDIO session ID
     if (STDIO_SESSION_ID) {
       console.error(`Routing command in STDIO mode to session: ${STDIO_SESSION_ID}`, command.type);
-      sendToSession(STDIO_SESSION_ID, command);
+      return await sendCommandToSession(STDIO_SESSION_ID, command);
     } else {
       console.error('Routing command in STDIO mode - no session ID available, broadcasting to all clients:', command.type);
       if (wsClients.size > 0) {
+        // Broadcast commands cannot be correlated with a single acknowledgement
         broadcastToClients(command);
+        return { success: true };
       } else {
         console.error('No WebSocket clients connected. Command not routed:', command.type);
+        return { success: false, error: 'No browser connected' };
       }
     }
   } else {
     console.warn('Tool handler called but no session context available. Command not routed.');
     console.warn('Current request session ID:', sessionId);
+    return { success: false, error: 'No active session found' };
+  }
+}
+
+// Send a command to a session and wait for the browser to acknowledge it
+// Returns {success: boolean, error?: string}
+async function sendCommandToSession(sessionId, command) {
+  const requestId = generateRequestId();
+
+  const sent = sendToSession(sessionId, {
+    ...command,
+    requestId: requestId
+  });
+
+  if (!sent) {
+    return { success: false, error: 'Browser not connected' };
+  }
+
+  try {
+    await waitForCommandAck(requestId, sessionId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Build a tool error response for a command the browser did not apply
+function createCommandErrorResponse(error) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Command not applied: ${error}`
+      }
+    ],
+    isError: true
+  };
+}
+
+// Interval between streamed transition frames (50ms = 20 frames per second)
+const TRANSITION_FRAME_INTERVAL = 50;
+
+// Maximum duration of an animated transition (seconds)
+const MAX_TRANSITION_DURATION = 10;
+
+// How each absolute command reads its current value from state and interpolates toward its target
+// Map<commandType, {current: (state) => object, kinds: {field: interpolatorKind}}>
+const transitionSpecs = new Map()
+  .set('changeColor', { current: (state) => ({ color: state.model?.color }), kinds: { color: 'color' } })
+  .set('changeSize', { current: (state) => ({ size: state.model?.scale?.x }), kinds: { size: 'number' } })
+  .set('scaleModel', { current: (state) => state.model?.scale, kinds: { x: 'number', y: 'number', z: 'number' } })
+  .set('setModelRotation', { current: (state) => state.model?.rotation, kinds: { x: 'angle', y: 'angle', z: 'angle' } })
+  .set('changeBackgroundColor', { current: (state) => ({ color: state.background }), kinds: { color: 'color' } })
+  .set('setKeyLightIntensity', { current: (state) => ({ intensity: state.keyLight?.intensity }), kinds: { intensity: 'number' } })
+  .set('setKeyLightColor', { current: (state) => ({ color: state.keyLight?.color }), kinds: { color: 'color' } })
+  .set('setKeyLightPositionSpherical', { current: (state) => state.keyLight?.position, kinds: { azimuth: 'azimuth', elevation: 'number' } })
+  .set('setKeyLightDistance', { current: (state) => ({ distance: state.keyLight?.position?.distance }), kinds: { distance: 'number' } })
+  .set('setFillLightIntensity', { current: (state) => ({ intensity: state.fillLight?.intensity }), kinds: { intensity: 'number' } })
+  .set('setFillLightColor', { current: (state) => ({ color: state.fillLight?.color }), kinds: { color: 'color' } })
+  .set('setFillLightPositionSpherical', { current: (state) => state.fillLight?.position, kinds: { azimuth: 'azimuth', elevation: 'number' } })
+  .set('setFillLightDistance', { current: (state) => ({ distance: state.fillLight?.position?.distance }), kinds: { distance: 'number' } })
+  .set('dollyCamera', { current: (state) => ({ distance: state.camera?.distance }), kinds: { distance: 'number' } })
+  .set('setCameraFOV', { current: (state) => ({ fov: state.camera?.fov }), kinds: { fov: 'number' } });
+
+// Store the running transition per session and command type so a newer change interrupts it
+// Map<`${sessionId}:${commandType}`, Symbol>
+const activeTransitions = new Map();
+
+// Resolve after the given number of milliseconds
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Route an absolute command to the current session, optionally animating toward it
+// Intermediate commands are streamed at TRANSITION_FRAME_INTERVAL, and the final command carries the exact target
+// Returns {success: boolean, error?: string}
+async function routeTransitionToCurrentSession(command, { duration, easing } = {}) {
+  const spec = transitionSpecs.get(command.type);
+  const sessionId = getCurrentSessionId();
+  const transitionKey = `${sessionId}:${command.type}`;
+
+  // Any new change to the same property interrupts a running transition
+  activeTransitions.delete(transitionKey);
+
+  if (!duration || !spec || !sessionId) {
+    return await routeToCurrentSession(command);
+  }
+
+  let from = null;
+  try {
+    const { state } = await getState(sessionId);
+    from = spec.current(state);
+  } catch (error) {
+    console.warn(`Failed to query state before transition, applying instantly: ${error.message}`);
+  }
+  const fields = Object.keys(spec.kinds);
+  if (!from || fields.some((field) => typeof from[field] !== typeof command[field])) {
+    return await routeToCurrentSession(command);
+  }
+
+  const ease = easingFunctions.get(easing ?? 'ease-in-out');
+  const token = Symbol(transitionKey);
+  activeTransitions.set(transitionKey, token);
+
+  try {
+    const durationMs = duration * 1000;
+    const start = Date.now();
+    for (let elapsed = 0; elapsed < durationMs; elapsed = Date.now() - start) {
+      const frameStart = Date.now();
+      const frame = {
+        ...command,
+        ...interpolateFields(from, command, spec.kinds, ease(elapsed / durationMs))
+      };
+      const commandResult = await routeToCurrentSession(frame);
+      if (!commandResult.success) {
+        return commandResult;
+      }
+      await wait(Math.max(0, TRANSITION_FRAME_INTERVAL - (Date.now() - frameStart)));
+      if (activeTransitions.get(transitionKey) !== token) {
+        return { success: false, error: 'Transition interrupted by a newer change' };
+      }
+    }
+    return await routeToCurrentSession(command);
+  } finally {
+    if (activeTransitions.get(transitionKey) === token) {
+      activeTransitions.delete(transitionKey);
+    }
   }
 }
 
+// Describe an animated change for tool responses
+function describeTransition(duration, easing) {
+  return duration ? ` (animated over ${duration}s, ${easing ?? 'ease-in-out'})` : '';
+}
+
 // Broadcast command to all connected browser clients (kept for backward compatibility if needed)
 function broadcastToClients(command) {
   const message = JSON.stringify(command);
@@ -383,64 +838,230 @@ const mcpServer = new McpServer({
   version: '1.0.0'
 });
 
-// Create a list of available Apple crayon color names for the description
-const availableColorNames = Array.from(appleCrayonColorsHexStrings.keys()).join(', ');
+// Store registered scene tools by name so batch commands can validate and
+// dispatch through the same Zod schemas and handlers as individual tool calls
+// Map<toolName, {inputSchema, handler}>
+const sceneTools = new Map();
+
+// Register a scene tool with the MCP server and record it for batch execution
+// Mutating tools are wrapped so the scene state before each call is kept for undo
+function registerSceneTool(name, config, handler) {
+  const registeredTool = mcpServer.registerTool(
+    name,
+    config,
+    isMutatingTool(name) ? withHistory(name, handler) : handler
+  );
+  sceneTools.set(name, {
+    inputSchema: registeredTool.inputSchema,
+    handler
+  });
+  return registeredTool;
+}
+
+// Maximum number of undo entries kept per session
+const MAX_HISTORY_ENTRIES = 50;
+
+// Store undo/redo history per session
+// Map<sessionId, {undo: Array<{toolName, state, timestamp}>, redo: Array<{toolName, state, timestamp}>}>
+const sessionHistory = new Map();
+
+// Get (or create) the undo/redo history for a session
+function getSessionHistory(sessionId) {
+  let history = sessionHistory.get(sessionId);
+  if (!history) {
+    history = { undo: [], redo: [] };
+    sessionHistory.set(sessionId, history);
+  }
+  return history;
+}
 
-// Zod schema for color input - accepts hex codes or Apple crayon color names
-const colorSchema = z.string().refine(
-  (val) => {
-    // Accept hex codes
-    if (/^#[0-9A-Fa-f]{6}$/.test(val)) {
-      return true;
+// Getter tools only read state, so they are not recorded in history
+function isMutatingTool(name) {
+  return !name.startsWith('get_');
+}
+
+// Wrap a tool handler so the scene state before the call is recorded for undo
+// By default failed calls are not recorded; batches may fail part-way after changing the scene
+function withHistory(toolName, handler, { recordOnError = false } = {}) {
+  return async (args, extra) => {
+    const sessionId = getCurrentSessionId();
+    let stateBefore = null;
+    if (sessionId) {
+      try {
+        ({ state: stateBefore } = await getState(sessionId));
+      } catch (error) {
+        console.warn(`Failed to record history before ${toolName}: ${error.message}`);
+      }
     }
-    // Accept Apple crayon color names (case-insensitive)
-    let normalizedName = val.toLowerCase().trim();
-    // Handle "sea foam" variations
-    if (normalizedName === 'seafoam' || normalizedName === 'sea-foam') {
-      normalizedName = 'sea foam';
+
+    const result = await handler(args, extra);
+
+    if (stateBefore && (recordOnError || !result?.isError)) {
+      const history = getSessionHistory(sessionId);
+      history.undo.push({
+        toolName,
+        state: stateBefore,
+        timestamp: new Date().toISOString()
+      });
+      if (history.undo.length > MAX_HISTORY_ENTRIES) {
+        history.undo.shift();
+      }
+      // A new change invalidates anything that was undone
+      history.redo = [];
     }
-    return appleCrayonColorsHexStrings.has(normalizedName);
-  },
-  {
-    message: `Must be a hex color code (e.g., "#ff0000") or an Apple crayon color name. Available colors: ${availableColorNames}`
+
+    return result;
+  };
+}
+
+// Build the commands that restore a scene state object (as returned by getState)
+function buildSceneStateCommands(state) {
+  const commands = [];
+
+  if (state.model?.color) {
+    commands.push({ type: 'changeColor', color: state.model.color });
+  }
+  if (state.model?.scale) {
+    const { x, y, z } = state.model.scale;
+    commands.push({ type: 'scaleModel', x, y, z });
+  }
+  if (state.model?.rotation) {
+    const { x, y, z } = state.model.rotation;
+    commands.push({ type: 'setModelRotation', x, y, z });
+  }
+  if (state.background) {
+    commands.push({ type: 'changeBackgroundColor', color: state.background });
+  }
+
+  for (const [lightKey, commandPrefix] of [['keyLight', 'setKeyLight'], ['fillLight', 'setFillLight']]) {
+    const light = state[lightKey];
+    if (!light) {
+      continue;
+    }
+    if (light.intensity !== undefined) {
+      commands.push({ type: `${commandPrefix}Intensity`, intensity: light.intensity });
+    }
+    if (light.color) {
+      commands.push({ type: `${commandPrefix}Color`, color: light.color });
+    }
+    if (light.position) {
+      commands.push({
+        type: `${commandPrefix}PositionSpherical`,
+        azimuth: light.position.azimuth,
+        elevation: light.position.elevation
+      });
+      if (light.position.distance > 0) {
+        commands.push({ type: `${commandPrefix}Distance`, distance: light.position.distance });
+      }
+    }
+    if (light.size) {
+      commands.push({
+        type: `${commandPrefix}Size`,
+        width: light.size.width,
+        height: light.size.height
+      });
+    }
+  }
+
+  if (state.camera?.distance > 0) {
+    commands.push({ type: 'dollyCamera', distance: state.camera.distance });
+  }
+  if (state.camera?.fov > 0) {
+    commands.push({ type: 'setCameraFOV', fov: state.camera.fov });
   }
-).describe(`Hex color code (e.g., "#ff0000") or Apple crayon color name (e.g., "maraschino", "turquoise", "lemon"). Available colors: ${availableColorNames}`);
+
+  return commands;
+}
+
+// Restore a scene state through the regular WebSocket command path
+// Returns a list of error strings (empty when every command was applied)
+async function applySceneState(state) {
+  const errors = [];
+  for (const command of buildSceneStateCommands(state)) {
+    const commandResult = await routeToCurrentSession(command);
+    if (!commandResult.success) {
+      errors.push(`${command.type}: ${commandResult.error}`);
+    }
+  }
+  return errors;
+}
+
+// Create a list of available Apple crayon color names for the description
+const availableColorNames = Array.from(appleCrayonColorsHexStrings.keys()).join(', ');
+// And of custom palette color names, if any palettes were loaded
+const customColorNamesText = (customColors.size > 0 ? ` Custom colors: ${Array.from(customColors.keys()).join(', ')}.` : '') +
+  (ACTIVE_LOCALES.length > 0 ? ` Basic color names in ${activeLocaleNames} are also accepted (e.g., "rojo", "bleu", "grün").` : '');
+
+// Zod schema for color input - accepts custom palette and Apple crayon color names and CSS colors
+// (hex codes, CSS named colors, rgb(), hsl(), hwb() and oklch())
+const colorSchema = z.string().superRefine((val, ctx) => {
+  if (lookupNamedColor(val) || lookupLocalizedColor(val)) {
+    return;
+  }
+  const { error } = parseCssColor(val);
+  if (error) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: `${error}. Use a hex code ("#ff0000" or "#f00"), a CSS color name ("rebeccapurple"), ` +
+        `rgb(), hsl(), hwb() or oklch(), or an Apple crayon color name. Available crayon colors: ${availableColorNames}.${customColorNamesText}`
+    });
+  }
+}).describe('Color as an Apple crayon color name (e.g., "maraschino", "turquoise", "lemon"), a hex code ("#ff0000" or "#f00"), ' +
+  `a CSS color name ("skyblue"), or an rgb(), hsl(), hwb() or oklch() color. Available crayon colors: ${availableColorNames}.${customColorNamesText}`);
+
+const colorTemperaturePresetNames = Array.from(colorTemperaturePresets.keys());
+const colorTemperatureSchema = z.union([z.number(), z.string()])
+  .describe('Color temperature in Kelvin (1667-25000, e.g., 3200 or "3200K"; lower is warmer) or a preset: ' +
+    colorTemperaturePresetNames.map((name) => `${name} (${colorTemperaturePresets.get(name)}K)`).join(', '));
+
+// Optional animation parameters shared by the absolute setters
+const easingNames = Array.from(easingFunctions.keys());
+const transitionInputSchema = {
+  duration: z.number().min(0).max(MAX_TRANSITION_DURATION).optional()
+    .describe(`Animate the change over this many seconds (0-${MAX_TRANSITION_DURATION}); omit or 0 for an instant change`),
+  easing: z.enum(easingNames).optional()
+    .describe(`Easing curve for animated changes: ${easingNames.join(', ')} (defaults to ease-in-out)`)
+};
 
 // Register tool: change_model_color
-mcpServer.registerTool(
+registerSceneTool(
   'change_model_color',
   {
     title: 'Change Model Color',
     description: 'Change the color of the 3D model in the scene',
     inputSchema: {
-      color: colorSchema
+      color: colorSchema,
+      ...transitionInputSchema
     }
   },
-  async ({ color }) => {
+  async ({ color, duration, easing }) => {
     const hexColor = normalizeColorToHex(color);
     if (!hexColor) {
       return {
         content: [
           {
             type: 'text',
-            text: `Invalid color: ${color}. Please use a hex code (e.g., "#ff0000") or an Apple crayon color name.`
+            text: `Invalid color: ${color}. Please use a hex code (e.g., "#ff0000"), a CSS color or an Apple crayon color name.`
           }
         ],
         isError: true
       };
     }
 
-    routeToCurrentSession({
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'changeColor',
       color: hexColor
-    });
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     const displayName = /^#[0-9A-Fa-f]{6}$/.test(color) ? hexColor : `${color} (${hexColor})`;
     return {
       content: [
         {
           type: 'text',
-          text: `Model color changed to ${displayName}`
+          text: `Model color changed to ${displayName}${describeTransition(duration, easing)}`
         }
       ]
     };
@@ -448,26 +1069,30 @@ mcpServer.registerTool(
 );
 
 // Register tool: change_model_size
-mcpServer.registerTool(
+registerSceneTool(
   'change_model_size',
   {
     title: 'Change Model Size',
     description: 'Change the uniform size of the 3D model',
     inputSchema: {
-      size: z.number().positive().describe('New size value (uniform scaling)')
+      size: z.number().positive().describe('New size value (uniform scaling)'),
+      ...transitionInputSchema
     }
   },
-  async ({ size }) => {
-    routeToCurrentSession({
+  async ({ size, duration, easing }) => {
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'changeSize',
       size: size
-    });
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Model size changed to ${size}`
+          text: `Model size changed to ${size}${describeTransition(duration, easing)}`
         }
       ]
     };
@@ -475,7 +1100,7 @@ mcpServer.registerTool(
 );
 
 // Register tool: scale_model
-mcpServer.registerTool(
+registerSceneTool(
   'scale_model',
   {
     title: 'Scale Model',
@@ -483,22 +1108,26 @@ mcpServer.registerTool(
     inputSchema: {
       x: z.number().positive().describe('Scale factor for X axis'),
       y: z.number().positive().describe('Scale factor for Y axis'),
-      z: z.number().positive().describe('Scale factor for Z axis')
+      z: z.number().positive().describe('Scale factor for Z axis'),
+      ...transitionInputSchema
     }
   },
-  async ({ x, y, z }) => {
-    routeToCurrentSession({
+  async ({ x, y, z, duration, easing }) => {
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'scaleModel',
       x: x,
       y: y,
       z: z
-    });
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Model scaled to (${x}, ${y}, ${z})`
+          text: `Model scaled to (${x}, ${y}, ${z})${describeTransition(duration, easing)}`
         }
       ]
     };
@@ -506,47 +1135,51 @@ mcpServer.registerTool(
 );
 
 // Register tool: change_background_color
-mcpServer.registerTool(
+registerSceneTool(
   'change_background_color',
   {
     title: 'Change Background Color',
     description: 'Change the background color of the 3D scene',
     inputSchema: {
-      color: colorSchema
+      color: colorSchema,
+      ...transitionInputSchema
     }
   },
-  async ({ color }) => {
+  async ({ color, duration, easing }) => {
     const hexColor = normalizeColorToHex(color);
     if (!hexColor) {
       return {
         content: [
           {
             type: 'text',
-            text: `Invalid color: ${color}. Please use a hex code (e.g., "#000000") or an Apple crayon color name.`
+            text: `Invalid color: ${color}. Please use a hex code (e.g., "#000000"), a CSS color or an Apple crayon color name.`
           }
         ],
         isError: true
       };
     }
 
-    routeToCurrentSession({
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'changeBackgroundColor',
       color: hexColor
-    });
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     const displayName = /^#[0-9A-Fa-f]{6}$/.test(color) ? hexColor : `${color} (${hexColor})`;
     return {
       content: [
         {
           type: 'text',
-          text: `Background color changed to ${displayName}`
+          text: `Background color changed to ${displayName}${describeTransition(duration, easing)}`
         }
       ]
     };
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_background_color',
   {
     title: 'Get Background Color',
@@ -577,7 +1210,7 @@ mcpServer.registerTool(
         content: [
           {
             type: 'text',
-            text: formatStateResponse(color, 'Background color', sessionId, metadata)
+            text: formatStateResponse(formatColorValue(color), 'Background color', sessionId, metadata)
           }
         ]
       };
@@ -609,73 +1242,82 @@ mcpServer.registerTool(
 );
 
 // Key light control tools
-mcpServer.registerTool(
+registerSceneTool(
   'set_key_light_intensity',
   {
     title: 'Set Key Light Intensity',
     description: 'Set the intensity of the key light (main light source)',
     inputSchema: {
-      intensity: z.number().nonnegative().describe('Light intensity value (0.0 or higher)')
+      intensity: z.number().nonnegative().describe('Light intensity value (0.0 or higher)'),
+      ...transitionInputSchema
     }
   },
-  async ({ intensity }) => {
-    routeToCurrentSession({
+  async ({ intensity, duration, easing }) => {
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'setKeyLightIntensity',
       intensity: intensity
-    });
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Key light intensity set to ${intensity}`
+          text: `Key light intensity set to ${intensity}${describeTransition(duration, easing)}`
         }
       ]
     };
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'set_key_light_color',
   {
     title: 'Set Key Light Color',
-    description: 'Set the color of the key light',
+    description: 'Set the color of the key light, either as a color or as a color temperature in Kelvin ' +
+      '(e.g., 3200 for tungsten, 5600 for daylight)',
     inputSchema: {
-      color: colorSchema
+      color: colorSchema.optional(),
+      temperature: colorTemperatureSchema.optional(),
+      ...transitionInputSchema
     }
   },
-  async ({ color }) => {
-    const hexColor = normalizeColorToHex(color);
-    if (!hexColor) {
+  async ({ color, temperature, duration, easing }) => {
+    const resolved = resolveLightColor({ color, temperature });
+    if (resolved.error) {
       return {
         content: [
           {
             type: 'text',
-            text: `Invalid color: ${color}. Please use a hex code (e.g., "#ffffff") or an Apple crayon color name.`
+            text: resolved.error
           }
         ],
         isError: true
       };
     }
 
-    routeToCurrentSession({
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'setKeyLightColor',
-      color: hexColor
-    });
+      color: resolved.hex
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
-    const displayName = /^#[0-9A-Fa-f]{6}$/.test(color) ? hexColor : `${color} (${hexColor})`;
     return {
       content: [
         {
           type: 'text',
-          text: `Key light color changed to ${displayName}`
+          text: `Key light color changed to ${resolved.label}${describeTransition(duration, easing)}`
         }
       ]
     };
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'swing_key_light_up',
   {
     title: 'Swing Key Light Up',
@@ -683,9 +1325,12 @@ mcpServer.registerTool(
     inputSchema: {}
   },
   async () => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'swingKeyLightUp'
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -698,7 +1343,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'swing_key_light_down',
   {
     title: 'Swing Key Light Down',
@@ -706,9 +1351,12 @@ mcpServer.registerTool(
     inputSchema: {}
   },
   async () => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'swingKeyLightDown'
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -721,7 +1369,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'swing_key_light_left',
   {
     title: 'Swing Key Light Left',
@@ -729,9 +1377,12 @@ mcpServer.registerTool(
     inputSchema: {}
   },
   async () => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'swingKeyLightLeft'
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -744,7 +1395,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'swing_key_light_right',
   {
     title: 'Swing Key Light Right',
@@ -752,9 +1403,12 @@ mcpServer.registerTool(
     inputSchema: {}
   },
   async () => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'swingKeyLightRight'
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -768,73 +1422,82 @@ mcpServer.registerTool(
 );
 
 // Fill light control tools
-mcpServer.registerTool(
+registerSceneTool(
   'set_fill_light_intensity',
   {
     title: 'Set Fill Light Intensity',
     description: 'Set the intensity of the fill light (shadow-filling light)',
     inputSchema: {
-      intensity: z.number().nonnegative().describe('Light intensity value (0.0 or higher)')
+      intensity: z.number().nonnegative().describe('Light intensity value (0.0 or higher)'),
+      ...transitionInputSchema
     }
   },
-  async ({ intensity }) => {
-    routeToCurrentSession({
+  async ({ intensity, duration, easing }) => {
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'setFillLightIntensity',
       intensity: intensity
-    });
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Fill light intensity set to ${intensity}`
+          text: `Fill light intensity set to ${intensity}${describeTransition(duration, easing)}`
         }
       ]
     };
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'set_fill_light_color',
   {
     title: 'Set Fill Light Color',
-    description: 'Set the color of the fill light',
+    description: 'Set the color of the fill light, either as a color or as a color temperature in Kelvin ' +
+      '(e.g., 3200 for tungsten, 5600 for daylight)',
     inputSchema: {
-      color: colorSchema
+      color: colorSchema.optional(),
+      temperature: colorTemperatureSchema.optional(),
+      ...transitionInputSchema
     }
   },
-  async ({ color }) => {
-    const hexColor = normalizeColorToHex(color);
-    if (!hexColor) {
+  async ({ color, temperature, duration, easing }) => {
+    const resolved = resolveLightColor({ color, temperature });
+    if (resolved.error) {
       return {
         content: [
           {
             type: 'text',
-            text: `Invalid color: ${color}. Please use a hex code (e.g., "#ffffff") or an Apple crayon color name.`
+            text: resolved.error
           }
         ],
         isError: true
       };
     }
 
-    routeToCurrentSession({
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'setFillLightColor',
-      color: hexColor
-    });
+      color: resolved.hex
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
-    const displayName = /^#[0-9A-Fa-f]{6}$/.test(color) ? hexColor : `${color} (${hexColor})`;
     return {
       content: [
         {
           type: 'text',
-          text: `Fill light color changed to ${displayName}`
+          text: `Fill light color changed to ${resolved.label}${describeTransition(duration, easing)}`
         }
       ]
     };
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'swing_fill_light_up',
   {
     title: 'Swing Fill Light Up',
@@ -842,9 +1505,12 @@ mcpServer.registerTool(
     inputSchema: {}
   },
   async () => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'swingFillLightUp'
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -857,7 +1523,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'swing_fill_light_down',
   {
     title: 'Swing Fill Light Down',
@@ -865,9 +1531,12 @@ mcpServer.registerTool(
     inputSchema: {}
   },
   async () => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'swingFillLightDown'
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -880,7 +1549,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'swing_fill_light_left',
   {
     title: 'Swing Fill Light Left',
@@ -888,9 +1557,12 @@ mcpServer.registerTool(
     inputSchema: {}
   },
   async () => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'swingFillLightLeft'
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -903,7 +1575,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'swing_fill_light_right',
   {
     title: 'Swing Fill Light Right',
@@ -911,9 +1583,12 @@ mcpServer.registerTool(
     inputSchema: {}
   },
   async () => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'swingFillLightRight'
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -926,7 +1601,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'walk_key_light_in',
   {
     title: 'Walk Key Light In',
@@ -934,9 +1609,12 @@ mcpServer.registerTool(
     inputSchema: {}
   },
   async () => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'walkKeyLightIn'
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -949,7 +1627,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'walk_key_light_out',
   {
     title: 'Walk Key Light Out',
@@ -957,9 +1635,12 @@ mcpServer.registerTool(
     inputSchema: {}
   },
   async () => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'walkKeyLightOut'
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -972,7 +1653,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'walk_fill_light_in',
   {
     title: 'Walk Fill Light In',
@@ -980,9 +1661,12 @@ mcpServer.registerTool(
     inputSchema: {}
   },
   async () => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'walkFillLightIn'
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -995,7 +1679,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'walk_fill_light_out',
   {
     title: 'Walk Fill Light Out',
@@ -1003,9 +1687,12 @@ mcpServer.registerTool(
     inputSchema: {}
   },
   async () => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'walkFillLightOut'
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -1029,56 +1716,93 @@ const directionToAzimuthMap = new Map([
 ]);
 
 // Helper function to normalize direction names
+// Accents are dropped so localized names match however they are typed (e.g., "sudeste", "Süd-West")
 function normalizeDirectionName(direction) {
   if (!direction || typeof direction !== 'string') {
     return null;
   }
-  let normalized = direction.toLowerCase().trim();
+  let normalized = foldLocaleWord(direction);
   normalized = normalized.replace(/[\s\-\.]/g, '');
   return normalized;
 }
 
+// Localized direction names (e.g., "nordeste", "nord-ouest", "links oben") mapped to English direction names
+const localizedDirectionNames = buildLocaleLookup('directions', ACTIVE_LOCALES, normalizeDirectionName);
+
+// Look up the azimuth of an English or localized direction name or phrase
+// (compass names, clock positions, camera-relative terms and angles with units, see directionPhrases.js)
+// Returns the azimuth in degrees or null
+function lookupDirectionAzimuth(direction) {
+  const normalized = normalizeDirectionName(direction);
+  if (!normalized) {
+    return null;
+  }
+  const phrase = localizedDirectionNames.get(normalized) ?? direction;
+  return directionToAzimuthMap.get(normalizeDirectionName(phrase)) ?? parseAzimuthPhrase(phrase);
+}
+
 // Helper function to convert direction name or number to azimuth
 function parseAzimuth(input) {
   if (typeof input === 'number') {
     return input;
   }
   if (typeof input === 'string') {
-    const normalized = normalizeDirectionName(input);
-    if (normalized && directionToAzimuthMap.has(normalized)) {
-      return directionToAzimuthMap.get(normalized);
-    }
+    return lookupDirectionAzimuth(input);
   }
   return null;
 }
 
 // Zod schema for azimuth - accepts numbers (0-360) or direction names
 const availableDirectionNames = Array.from(directionToAzimuthMap.keys()).filter(name => name.length > 1).join(', ');
+const directionPhrasesText = 'Also accepts 32-point compass names (e.g., "NEbN", "north by east"), clock positions seen from above ' +
+  'with the camera at 6 o\'clock and 12 o\'clock = 0° (e.g., "2 o\'clock" = 60°), camera-relative terms (e.g., "camera left" = 270°, ' +
+  '"front right" = 135°, "behind the model" = 0°, "behind the camera" = 180°) and angles with units from 0 to 360 (e.g., "45deg", "0.8rad").';
+const localizedDirectionsText = ACTIVE_LOCALES.length > 0
+  ? ` Direction names in ${activeLocaleNames} are accepted too (e.g., "nordeste", "nord-ouest", "links oben").`
+  : '';
 const azimuthSchema = z.union([
   z.number().min(0).max(360),
+  z.string().refine(
+    (val) => lookupDirectionAzimuth(val) !== null,
+    {
+      message: `Must be a number (0-360), a direction name or a direction phrase. Available directions: ${availableDirectionNames}. ${directionPhrasesText}${localizedDirectionsText}`
+    }
+  )
+]).describe(`Horizontal angle in degrees (0-360) or direction name (e.g., "north", "northwest", "NW"). 0° = camera forward (North), 90° = camera right (East), 180° = behind camera (South), 270° = camera left (West). Available directions: ${availableDirectionNames}. ${directionPhrasesText}${localizedDirectionsText}`);
+
+// Zod schema for elevation - accepts numbers (0-90), angles with units or elevation names
+const availableElevationNames = Array.from(elevationNames, ([name, degrees]) => `${name} (${degrees}°)`).join(', ');
+const elevationSchema = z.union([
+  z.number().min(0).max(90),
   z.string().refine(
     (val) => {
-      const normalized = normalizeDirectionName(val);
-      return normalized && directionToAzimuthMap.has(normalized);
+      const elevation = parseElevationPhrase(val);
+      return elevation !== null && elevation >= 0 && elevation <= 90;
     },
     {
-      message: `Must be a number (0-360) or a direction name. Available directions: ${availableDirectionNames}`
+      message: `Must be a number (0-90), an angle such as "30deg", or an elevation name: ${availableElevationNames}`
     }
   )
-]).describe(`Horizontal angle in degrees (0-360) or direction name (e.g., "north", "northwest", "NW"). 0° = camera forward (North), 90° = camera right (East), 180° = behind camera (South), 270° = camera left (West). Available directions: ${availableDirectionNames}`);
+]).describe(`Vertical angle in degrees (0-90), 0° = horizon, 90° = overhead, or an elevation name: ${availableElevationNames}`);
+
+// Helper function to convert an elevation name or number to degrees
+function parseElevation(input) {
+  return typeof input === 'number' ? input : parseElevationPhrase(input);
+}
 
 // Spherical coordinate tools for camera-centric positioning
-mcpServer.registerTool(
+registerSceneTool(
   'set_key_light_position_spherical',
   {
     title: 'Set Key Light Position (Spherical Coordinates)',
     description: `Set the key light position using camera-centric spherical coordinates. Preserves current distance - only changes azimuth and elevation. Azimuth: 0° = camera forward (North), 90° = camera right (East), 180° = behind camera (South), 270° = camera left (West). Elevation: 0° = horizon, 90° = overhead. Azimuth can be a number (0-360) or a direction name. Available direction names: ${availableDirectionNames}. Examples: "north" (0°), "east" (90°), "northwest" (315°), "southeast" (135°).`,
     inputSchema: {
       azimuth: azimuthSchema,
-      elevation: z.number().min(0).max(90).describe('Vertical angle in degrees (0-90), 0° = horizon, 90° = overhead')
+      elevation: elevationSchema,
+      ...transitionInputSchema
     }
   },
-  async ({ azimuth, elevation }) => {
+  async ({ azimuth, elevation, duration, easing }) => {
     // Convert direction name to numeric azimuth if needed
     const azimuthValue = parseAzimuth(azimuth);
     if (azimuthValue === null) {
@@ -1093,25 +1817,42 @@ mcpServer.registerTool(
       };
     }
 
-    routeToCurrentSession({
+    const elevationValue = parseElevation(elevation);
+    if (elevationValue === null || elevationValue < 0 || elevationValue > 90) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Invalid elevation: ${elevation}. Must be a number (0-90) or an elevation name.`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'setKeyLightPositionSpherical',
       azimuth: azimuthValue,
-      elevation: elevation
-    });
+      elevation: elevationValue
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
+    const elevationDisplay = typeof elevation === 'string' ? `${elevation} (${elevationValue}°)` : `${elevationValue}°`;
     const azimuthDisplay = typeof azimuth === 'string' ? `${azimuth} (${azimuthValue}°)` : `${azimuthValue}°`;
     return {
       content: [
         {
           type: 'text',
-          text: `Key light positioned at azimuth ${azimuthDisplay}, elevation ${elevation}° (distance preserved)`
+          text: `Key light positioned at azimuth ${azimuthDisplay}, elevation ${elevationDisplay} (distance preserved)${describeTransition(duration, easing)}`
         }
       ]
     };
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_key_light_position_spherical',
   {
     title: 'Get Key Light Position (Spherical Coordinates)',
@@ -1161,7 +1902,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_key_light_intensity',
   {
     title: 'Get Key Light Intensity',
@@ -1210,11 +1951,12 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_key_light_color',
   {
     title: 'Get Key Light Color',
-    description: 'Get the current key light color as a hex color code (e.g., "#ffffff"). ' +
+    description: 'Get the current key light color as a hex color code (e.g., "#ffffff"), ' +
+      'with its approximate color temperature in Kelvin when it is a white light. ' +
       'Query this before relative color changes to ensure accuracy. ' +
       'For absolute changes, you may use recently queried state from context if no manual interactions occurred.',
     inputSchema: {}
@@ -1241,7 +1983,7 @@ mcpServer.registerTool(
         content: [
           {
             type: 'text',
-            text: formatStateResponse(color, 'Key light color', sessionId, metadata)
+            text: formatStateResponse(formatLightColorValue(color), 'Key light color', sessionId, metadata)
           }
         ]
       };
@@ -1259,7 +2001,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_key_light_size',
   {
     title: 'Get Key Light Size',
@@ -1309,17 +2051,18 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'set_fill_light_position_spherical',
   {
     title: 'Set Fill Light Position (Spherical Coordinates)',
     description: `Set the fill light position using camera-centric spherical coordinates. Preserves current distance - only changes azimuth and elevation. Azimuth: 0° = camera forward (North), 90° = camera right (East), 180° = behind camera (South), 270° = camera left (West). Elevation: 0° = horizon, 90° = overhead. Azimuth can be a number (0-360) or a direction name. Available direction names: ${availableDirectionNames}. Examples: "north" (0°), "east" (90°), "northwest" (315°), "southeast" (135°).`,
     inputSchema: {
       azimuth: azimuthSchema,
-      elevation: z.number().min(0).max(90).describe('Vertical angle in degrees (0-90), 0° = horizon, 90° = overhead')
+      elevation: elevationSchema,
+      ...transitionInputSchema
     }
   },
-  async ({ azimuth, elevation }) => {
+  async ({ azimuth, elevation, duration, easing }) => {
     // Convert direction name to numeric azimuth if needed
     const azimuthValue = parseAzimuth(azimuth);
     if (azimuthValue === null) {
@@ -1334,25 +2077,42 @@ mcpServer.registerTool(
       };
     }
 
-    routeToCurrentSession({
+    const elevationValue = parseElevation(elevation);
+    if (elevationValue === null || elevationValue < 0 || elevationValue > 90) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Invalid elevation: ${elevation}. Must be a number (0-90) or an elevation name.`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'setFillLightPositionSpherical',
       azimuth: azimuthValue,
-      elevation: elevation
-    });
+      elevation: elevationValue
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
+    const elevationDisplay = typeof elevation === 'string' ? `${elevation} (${elevationValue}°)` : `${elevationValue}°`;
     const azimuthDisplay = typeof azimuth === 'string' ? `${azimuth} (${azimuthValue}°)` : `${azimuthValue}°`;
     return {
       content: [
         {
           type: 'text',
-          text: `Fill light positioned at azimuth ${azimuthDisplay}, elevation ${elevation}° (distance preserved)`
+          text: `Fill light positioned at azimuth ${azimuthDisplay}, elevation ${elevationDisplay} (distance preserved)${describeTransition(duration, easing)}`
         }
       ]
     };
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_fill_light_position_spherical',
   {
     title: 'Get Fill Light Position (Spherical Coordinates)',
@@ -1402,7 +2162,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_fill_light_intensity',
   {
     title: 'Get Fill Light Intensity',
@@ -1451,11 +2211,12 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_fill_light_color',
   {
     title: 'Get Fill Light Color',
-    description: 'Get the current fill light color as a hex color code (e.g., "#ffffff"). ' +
+    description: 'Get the current fill light color as a hex color code (e.g., "#ffffff"), ' +
+      'with its approximate color temperature in Kelvin when it is a white light. ' +
       'Query this before relative color changes to ensure accuracy. ' +
       'For absolute changes, you may use recently queried state from context if no manual interactions occurred.',
     inputSchema: {}
@@ -1482,7 +2243,7 @@ mcpServer.registerTool(
         content: [
           {
             type: 'text',
-            text: formatStateResponse(color, 'Fill light color', sessionId, metadata)
+            text: formatStateResponse(formatLightColorValue(color), 'Fill light color', sessionId, metadata)
           }
         ]
       };
@@ -1500,7 +2261,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_fill_light_size',
   {
     title: 'Get Fill Light Size',
@@ -1551,33 +2312,37 @@ mcpServer.registerTool(
 );
 
 // Camera control tools
-mcpServer.registerTool(
+registerSceneTool(
   'dolly_camera',
   {
     title: 'Dolly Camera',
     description: 'Set the camera distance from the origin (dollying). Moves the camera closer or farther from the subject.',
     inputSchema: {
-      distance: z.number().positive().describe('Distance from origin (camera position.z)')
+      distance: z.number().positive().describe('Distance from origin (camera position.z)'),
+      ...transitionInputSchema
     }
   },
-  async ({ distance }) => {
-    routeToCurrentSession({
+  async ({ distance, duration, easing }) => {
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'dollyCamera',
       distance: distance
-    });
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Camera distance set to ${distance}`
+          text: `Camera distance set to ${distance}${describeTransition(duration, easing)}`
         }
       ]
     };
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'dolly_camera_in',
   {
     title: 'Dolly Camera In',
@@ -1587,10 +2352,13 @@ mcpServer.registerTool(
     }
   },
   async ({ amount }) => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'dollyCameraIn',
       amount: amount
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -1603,7 +2371,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'dolly_camera_out',
   {
     title: 'Dolly Camera Out',
@@ -1613,10 +2381,13 @@ mcpServer.registerTool(
     }
   },
   async ({ amount }) => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'dollyCameraOut',
       amount: amount
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -1629,33 +2400,37 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'set_camera_fov',
   {
     title: 'Set Camera Field of View',
     description: 'Set the camera field of view (FOV). Lower values = wider angle (more of scene visible), higher values = narrower angle (more zoomed in).',
     inputSchema: {
-      fov: z.number().positive().describe('Field of view value (typically 0.5-5.0, where lower = wider angle)')
+      fov: z.number().positive().describe('Field of view value (typically 0.5-5.0, where lower = wider angle)'),
+      ...transitionInputSchema
     }
   },
-  async ({ fov }) => {
-    routeToCurrentSession({
+  async ({ fov, duration, easing }) => {
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'setCameraFOV',
       fov: fov
-    });
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Camera field of view set to ${fov}`
+          text: `Camera field of view set to ${fov}${describeTransition(duration, easing)}`
         }
       ]
     };
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'increase_camera_fov',
   {
     title: 'Increase Camera Field of View',
@@ -1665,10 +2440,13 @@ mcpServer.registerTool(
     }
   },
   async ({ amount }) => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'increaseCameraFOV',
       amount: amount
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -1681,7 +2459,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'decrease_camera_fov',
   {
     title: 'Decrease Camera Field of View',
@@ -1691,10 +2469,13 @@ mcpServer.registerTool(
     }
   },
   async ({ amount }) => {
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'decreaseCameraFOV',
       amount: amount
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -1707,7 +2488,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_camera_distance',
   {
     title: 'Get Camera Distance',
@@ -1756,7 +2537,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_camera_fov',
   {
     title: 'Get Camera Field of View',
@@ -1806,7 +2587,7 @@ mcpServer.registerTool(
 );
 
 // Model rotation tools
-mcpServer.registerTool(
+registerSceneTool(
   'get_model_rotation',
   {
     title: 'Get Model Rotation',
@@ -1856,7 +2637,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_model_color',
   {
     title: 'Get Model Color',
@@ -1887,7 +2668,7 @@ mcpServer.registerTool(
         content: [
           {
             type: 'text',
-            text: formatStateResponse(color, 'Model color', sessionId, metadata)
+            text: formatStateResponse(formatColorValue(color), 'Model color', sessionId, metadata)
           }
         ]
       };
@@ -1905,7 +2686,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'get_model_scale',
   {
     title: 'Get Model Scale',
@@ -1955,7 +2736,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'set_model_rotation',
   {
     title: 'Set Model Rotation',
@@ -1963,22 +2744,26 @@ mcpServer.registerTool(
     inputSchema: {
       x: z.number().describe('Rotation around X axis in degrees (pitch)'),
       y: z.number().describe('Rotation around Y axis in degrees (yaw)'),
-      z: z.number().describe('Rotation around Z axis in degrees (roll)')
+      z: z.number().describe('Rotation around Z axis in degrees (roll)'),
+      ...transitionInputSchema
     }
   },
-  async ({ x, y, z }) => {
-    routeToCurrentSession({
+  async ({ x, y, z, duration, easing }) => {
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'setModelRotation',
       x: x,
       y: y,
       z: z
-    });
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Model rotation set to X: ${x}°, Y: ${y}°, Z: ${z}°`
+          text: `Model rotation set to X: ${x}°, Y: ${y}°, Z: ${z}°${describeTransition(duration, easing)}`
         }
       ]
     };
@@ -1986,7 +2771,7 @@ mcpServer.registerTool(
 );
 
 // Model rotation relative adjustment tools
-mcpServer.registerTool(
+registerSceneTool(
   'rotate_model_clockwise',
   {
     title: 'Rotate Model Clockwise',
@@ -2021,10 +2806,13 @@ mcpServer.registerTool(
       console.warn(`Failed to query state before rotation: ${error.message}`);
     }
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'rotateModelClockwise',
       degrees: degrees
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     const rotationInfo = currentState 
       ? ` (from current rotation: Y=${currentState.y}°)`
@@ -2042,7 +2830,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'rotate_model_counterclockwise',
   {
     title: 'Rotate Model Counterclockwise',
@@ -2076,10 +2864,13 @@ mcpServer.registerTool(
       console.warn(`Failed to query state before rotation: ${error.message}`);
     }
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'rotateModelCounterclockwise',
       degrees: degrees
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     const rotationInfo = currentState 
       ? ` (from current rotation: Y=${currentState.y}°)`
@@ -2097,7 +2888,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'nudge_model_pitch_up',
   {
     title: 'Nudge Model Pitch Up',
@@ -2127,10 +2918,13 @@ mcpServer.registerTool(
     const currentRotation = state?.model?.rotation || { x: 0, y: 0, z: 0 };
     const rotationInfo = ` (from current pitch: X=${currentRotation.x}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'nudgeModelPitchUp',
       degrees: degrees !== undefined ? -degrees : undefined
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -2145,7 +2939,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'nudge_model_pitch_down',
   {
     title: 'Nudge Model Pitch Down',
@@ -2175,10 +2969,13 @@ mcpServer.registerTool(
     const currentRotation = state?.model?.rotation || { x: 0, y: 0, z: 0 };
     const rotationInfo = ` (from current pitch: X=${currentRotation.x}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'nudgeModelPitchDown',
       degrees: degrees !== undefined ? -degrees : undefined
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -2193,7 +2990,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'nudge_model_roll',
   {
     title: 'Nudge Model Roll',
@@ -2223,10 +3020,13 @@ mcpServer.registerTool(
     const currentRotation = state?.model?.rotation || { x: 0, y: 0, z: 0 };
     const rotationInfo = ` (from current roll: Z=${currentRotation.z}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'nudgeModelRoll',
       degrees: degrees !== undefined ? degrees : 5
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -2242,7 +3042,7 @@ mcpServer.registerTool(
 );
 
 // Key light relative adjustment tools
-mcpServer.registerTool(
+registerSceneTool(
   'rotate_key_light_clockwise',
   {
     title: 'Rotate Key Light Clockwise',
@@ -2272,10 +3072,13 @@ mcpServer.registerTool(
     const currentPosition = state?.keyLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current azimuth: ${currentPosition.azimuth}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'rotateKeyLightClockwise',
       degrees: degrees
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -2290,7 +3093,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'rotate_key_light_counterclockwise',
   {
     title: 'Rotate Key Light Counterclockwise',
@@ -2320,10 +3123,13 @@ mcpServer.registerTool(
     const currentPosition = state?.keyLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current azimuth: ${currentPosition.azimuth}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'rotateKeyLightCounterclockwise',
       degrees: degrees
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -2338,7 +3144,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'nudge_key_light_elevation_up',
   {
     title: 'Nudge Key Light Elevation Up',
@@ -2368,10 +3174,13 @@ mcpServer.registerTool(
     const currentPosition = state?.keyLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current elevation: ${currentPosition.elevation}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'nudgeKeyLightElevationUp',
       degrees: degrees
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -2386,7 +3195,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'nudge_key_light_elevation_down',
   {
     title: 'Nudge Key Light Elevation Down',
@@ -2416,10 +3225,13 @@ mcpServer.registerTool(
     const currentPosition = state?.keyLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current elevation: ${currentPosition.elevation}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'nudgeKeyLightElevationDown',
       degrees: degrees
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -2434,7 +3246,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'move_key_light_toward_direction',
   {
     title: 'Move Key Light Toward Direction',
@@ -2479,11 +3291,14 @@ mcpServer.registerTool(
     const currentPosition = state?.keyLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current azimuth: ${currentPosition.azimuth}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'moveKeyLightTowardDirection',
       direction: typeof direction === 'number' ? direction : directionValue,
       degrees: degrees
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     const directionDisplay = typeof direction === 'string' ? direction : `${direction}°`;
     return {
@@ -2500,7 +3315,7 @@ mcpServer.registerTool(
 );
 
 // Fill light relative adjustment tools
-mcpServer.registerTool(
+registerSceneTool(
   'rotate_fill_light_clockwise',
   {
     title: 'Rotate Fill Light Clockwise',
@@ -2530,10 +3345,13 @@ mcpServer.registerTool(
     const currentPosition = state?.fillLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current azimuth: ${currentPosition.azimuth}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'rotateFillLightClockwise',
       degrees: degrees
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -2548,7 +3366,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'rotate_fill_light_counterclockwise',
   {
     title: 'Rotate Fill Light Counterclockwise',
@@ -2578,10 +3396,13 @@ mcpServer.registerTool(
     const currentPosition = state?.fillLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current azimuth: ${currentPosition.azimuth}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'rotateFillLightCounterclockwise',
       degrees: degrees
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -2596,7 +3417,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'nudge_fill_light_elevation_up',
   {
     title: 'Nudge Fill Light Elevation Up',
@@ -2626,10 +3447,13 @@ mcpServer.registerTool(
     const currentPosition = state?.fillLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current elevation: ${currentPosition.elevation}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'nudgeFillLightElevationUp',
       degrees: degrees
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -2644,7 +3468,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'nudge_fill_light_elevation_down',
   {
     title: 'Nudge Fill Light Elevation Down',
@@ -2674,10 +3498,13 @@ mcpServer.registerTool(
     const currentPosition = state?.fillLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current elevation: ${currentPosition.elevation}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'nudgeFillLightElevationDown',
       degrees: degrees
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
@@ -2692,7 +3519,7 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'move_fill_light_toward_direction',
   {
     title: 'Move Fill Light Toward Direction',
@@ -2737,11 +3564,14 @@ mcpServer.registerTool(
     const currentPosition = state?.fillLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current azimuth: ${currentPosition.azimuth}°)`;
 
-    routeToCurrentSession({
+    const commandResult = await routeToCurrentSession({
       type: 'moveFillLightTowardDirection',
       direction: typeof direction === 'number' ? direction : directionValue,
       degrees: degrees
     });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     const directionDisplay = typeof direction === 'string' ? direction : `${direction}°`;
     return {
@@ -2757,139 +3587,2997 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'set_key_light_distance',
   {
     title: 'Set Key Light Distance',
     description: 'Set the distance of the key light from the model origin. Preserves current azimuth and elevation angles.',
     inputSchema: {
-      distance: z.number().positive().describe('Distance from model origin (positive number, units)')
+      distance: z.number().positive().describe('Distance from model origin (positive number, units)'),
+      ...transitionInputSchema
     }
   },
-  async ({ distance }) => {
-    routeToCurrentSession({
+  async ({ distance, duration, easing }) => {
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'setKeyLightDistance',
       distance: distance
-    });
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Key light distance set to ${distance} units`
+          text: `Key light distance set to ${distance} units${describeTransition(duration, easing)}`
         }
       ]
     };
   }
 );
 
-mcpServer.registerTool(
+registerSceneTool(
   'set_fill_light_distance',
   {
     title: 'Set Fill Light Distance',
     description: 'Set the distance of the fill light from the model origin. Preserves current azimuth and elevation angles.',
     inputSchema: {
-      distance: z.number().positive().describe('Distance from model origin (positive number, units)')
+      distance: z.number().positive().describe('Distance from model origin (positive number, units)'),
+      ...transitionInputSchema
     }
   },
-  async ({ distance }) => {
-    routeToCurrentSession({
+  async ({ distance, duration, easing }) => {
+    const commandResult = await routeTransitionToCurrentSession({
       type: 'setFillLightDistance',
       distance: distance
-    });
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Fill light distance set to ${distance} units`
+          text: `Fill light distance set to ${distance} units${describeTransition(duration, easing)}`
         }
       ]
     };
   }
 );
 
-// Helper function to get browser connection URL
-async function getBrowserConnectionUrl() {
-  // In STDIO mode, use the unique STDIO session ID generated at startup
-  // In HTTP mode, get session ID from context
-  let sessionId;
-  if (isStdioMode) {
-    sessionId = STDIO_SESSION_ID;
-  } else {
-    sessionId = sessionContext.getStore();
-  }
-  
-  if (!sessionId) {
+// Relative color adjustment tools, one per colored scene element
+// Each reads the current color from fresh state and sends the element's existing color command
+const colorAdjustmentNames = Array.from(colorAdjustments.keys());
+const colorAdjustmentTargets = [
+  { tool: 'adjust_model_color', name: 'Model', commandType: 'changeColor', current: (state) => state.model?.color || '#808080' },
+  { tool: 'adjust_background_color', name: 'Background', commandType: 'changeBackgroundColor', current: (state) => state.background || '#000000' },
+  { tool: 'adjust_key_light_color', name: 'Key light', commandType: 'setKeyLightColor', current: (state) => state.keyLight?.color || '#ffffff' },
+  { tool: 'adjust_fill_light_color', name: 'Fill light', commandType: 'setFillLightColor', current: (state) => state.fillLight?.color || '#ffffff' }
+];
+
+for (const target of colorAdjustmentTargets) {
+  const subject = target.name.toLowerCase();
+  registerSceneTool(
+    target.tool,
+    {
+      title: `Adjust ${target.name} Color`,
+      description: `Make the ${subject} color warmer, cooler, lighter, darker, more or less saturated, relative to its current color. ` +
+        'Lightness and saturation change perceptually (OKLCH); warmer and cooler work like an orange or blue gel. ' +
+        'This tool automatically queries fresh state before performing the adjustment.',
+      inputSchema: {
+        adjustment: z.enum(colorAdjustmentNames).describe(`How to change the color: ${colorAdjustmentNames.join(', ')}`),
+        amount: z.number().positive().max(1).optional()
+          .describe('Strength of the change (0-1, defaults to 0.1 - a bit; 0.3 is a lot). For warmer/cooler, 0.5 is about a full CTO/CTB gel'),
+        ...transitionInputSchema
+      }
+    },
+    async ({ adjustment, amount = 0.1, duration, easing }) => {
+      const sessionId = getCurrentSessionId();
+      if (!sessionId) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'Error: No active session found.'
+            }
+          ],
+          isError: true
+        };
+      }
+
+      const state = await queryFreshStateForManipulation(sessionId);
+      const currentHex = state ? normalizeColorToHex(target.current(state)) : null;
+      if (!currentHex) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: Could not read the current ${subject} color.`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      const adjustmentText = adjustment.replace('-', ' ');
+      const adjusted = adjustColor(currentHex, adjustment, amount);
+      if (adjusted.error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Cannot make the ${subject} color ${adjustmentText}: ${adjusted.error}`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      if (adjusted.hex === currentHex) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${target.name} color cannot get any ${adjustmentText}; it stays ${formatColorWithName(currentHex)}`
+            }
+          ]
+        };
+      }
+
+      const commandResult = await routeTransitionToCurrentSession({
+        type: target.commandType,
+        color: adjusted.hex
+      }, { duration, easing });
+      if (!commandResult.success) {
+        return createCommandErrorResponse(commandResult.error);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${target.name} color made ${adjustmentText} by ${amount}: ${formatColorWithName(currentHex)} → ` +
+              `${formatColorWithName(adjusted.hex)}${describeTransition(duration, easing)}`
+          }
+        ]
+      };
+    }
+  );
+}
+
+// Register tool: list_color_names
+mcpServer.registerTool(
+  'list_color_names',
+  {
+    title: 'List Color Names',
+    description: 'List the named colors accepted by color parameters, grouped by palette: custom palettes loaded at startup ' +
+      '(e.g., brand colors), the Apple crayon colors and, optionally, the CSS named colors.',
+    inputSchema: {
+      includeCss: z.boolean().optional().describe('Also list the CSS named colors (defaults to false; they are always accepted)')
+    }
+  },
+  async ({ includeCss = false }) => {
+    const formatGroup = (title, colors) => `${title} (${colors.size}):\n` +
+      Array.from(colors, ([name, hex]) => `- ${name}: ${hex.toLowerCase()}`).join('\n');
+    const groups = Array.from(customColorPalettes, ([name, colors]) => formatGroup(`Custom palette "${name}"`, colors));
+    groups.push(formatGroup('Apple crayons', appleCrayonColorsHexStrings));
+    groups.push(includeCss
+      ? formatGroup('CSS named colors', cssNamedColors)
+      : `CSS named colors (${cssNamedColors.size}): also accepted, e.g., rebeccapurple, skyblue (pass includeCss to list them)`);
+    if (customColorPalettes.size === 0) {
+      groups.unshift('No custom palettes loaded (use --palette <file> or COLOR_PALETTES to add some).');
+    }
     return {
       content: [
         {
           type: 'text',
-          text: 'Error: No active session found. Please ensure the MCP connection is properly initialized.'
+          text: groups.join('\n\n')
         }
-      ],
-      isError: true
+      ]
     };
   }
+);
 
-  const connectionUrl = `${BROWSER_URL}?sessionId=${sessionId}`;
-  
-  return {
-    content: [
-      {
-        type: 'text',
-        text: `To connect your browser to the 3D visualization app, open this URL:\n\n${connectionUrl}\n\nCopy and paste this URL into your web browser to begin interacting with the 3D scene.`
-      }
-    ]
-  };
+// Palette tools
+const paletteHarmonyNames = Array.from(paletteHarmonies.keys());
+
+// Format a palette color: crayon name and hex when snapped to a crayon, otherwise hex with its nearest crayon
+function formatPaletteColor(color) {
+  return color.snapped ? `${color.name} (${color.hex})` : formatColorWithName(color.hex);
 }
 
-// Register tool: get_browser_connection_url
-mcpServer.registerTool(
-  'get_browser_connection_url',
-  {
-    title: 'Get Browser Connection URL',
-    description: 'Get the URL to open in your browser to connect the 3D visualization app. Use this when users ask how to connect or how to open the 3D app.',
-    inputSchema: {}
-  },
-  getBrowserConnectionUrl
-);
+// Resolve the base color of a palette tool: the given color, or the current model color from fresh state
+// Returns {hex} or {error}
+async function resolvePaletteBaseColor(color) {
+  if (color !== undefined) {
+    const hex = normalizeColorToHex(color);
+    return hex ? { hex } : { error: `Invalid color: ${color}` };
+  }
+  const sessionId = getCurrentSessionId();
+  if (!sessionId) {
+    return { error: 'Error: No active session found. Pass a color or connect a browser to use the model color.' };
+  }
+  const state = await queryFreshStateForManipulation(sessionId);
+  const hex = state ? normalizeColorToHex(state.model?.color || '#808080') : null;
+  return hex ? { hex } : { error: 'Error: Could not read the current model color.' };
+}
 
-// Register tool: hello_3d_app
 mcpServer.registerTool(
-  'hello_3d_app',
+  'suggest_palette',
   {
-    title: 'Hello 3D App',
-    description: 'Get the URL to open the 3D visualization app in your browser. Use this when users want to launch, open, or connect to the 3D app.',
-    inputSchema: {}
+    title: 'Suggest Palette',
+    description: 'Suggest color palettes around a base color (the current model color by default): ' +
+      paletteHarmonyNames.map((name) => `${name} (${paletteHarmonies.get(name).description})`).join('; ') + '. ' +
+      'Colors are snapped to Apple crayon colors where one is close. Use apply_palette to apply one to the scene.',
+    inputSchema: {
+      color: colorSchema.optional().describe('Base color (defaults to the current model color)'),
+      harmony: z.enum(paletteHarmonyNames).optional().describe(`Palette to suggest (defaults to all): ${paletteHarmonyNames.join(', ')}`)
+    }
   },
-  getBrowserConnectionUrl
-);
+  async ({ color, harmony }) => {
+    const base = await resolvePaletteBaseColor(color);
+    if (base.error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: base.error
+          }
+        ],
+        isError: true
+      };
+    }
 
-// Register tool: get_3d_app
-mcpServer.registerTool(
-  'get_3d_app',
-  {
-    title: 'Get 3D App',
-    description: 'Get the URL to open the 3D visualization app in your browser. Use this when users ask for the 3D app URL or how to access the 3D visualization.',
-    inputSchema: {}
-  },
-  getBrowserConnectionUrl
+    const lines = (harmony ? [harmony] : paletteHarmonyNames).map((name) => {
+      const palette = buildPalette(base.hex, name);
+      return palette.error
+        ? `- ${name}: n/a (${palette.error})`
+        : `- ${name}: ${palette.colors.map(formatPaletteColor).join(', ')}`;
+    });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Palettes for ${formatColorWithName(base.hex)}:\n${lines.join('\n')}`
+        }
+      ]
+    };
+  }
 );
 
-// Register tool: open_3d_app
-mcpServer.registerTool(
-  'open_3d_app',
+registerSceneTool(
+  'apply_palette',
   {
-    title: 'Open 3D App',
-    description: 'Get the URL to open the 3D visualization app in your browser. Use this when users want to open or launch the 3D visualization.',
-    inputSchema: {}
+    title: 'Apply Palette',
+    description: 'Apply a color palette (see suggest_palette) to the scene in one step: the model takes the base color, ' +
+      'the background the second palette color, the fill light a tint of the background color (as if bounced off the set) ' +
+      'and the key light a tint of the last palette color (the base color in two-color palettes).',
+    inputSchema: {
+      harmony: z.enum(paletteHarmonyNames).describe(`Palette to apply: ${paletteHarmonyNames.join(', ')}`),
+      color: colorSchema.optional().describe('Base color (defaults to the current model color)'),
+      tintStrength: z.number().min(0).max(1).optional()
+        .describe('How strongly the key and fill lights are tinted (0 = white, 1 = full color; defaults to 0.25)')
+    }
   },
-  getBrowserConnectionUrl
-);
-
-// Register tool: connect_3d_app
-mcpServer.registerTool(
+  async ({ harmony, color, tintStrength = 0.25 }) => {
+    const base = await resolvePaletteBaseColor(color);
+    if (base.error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: base.error
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const palette = buildPalette(base.hex, harmony);
+    if (palette.error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: palette.error
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const roles = assignPaletteRoles(palette.colors, tintStrength);
+    const commands = [
+      { type: 'changeColor', color: roles.model },
+      { type: 'changeBackgroundColor', color: roles.background },
+      { type: 'setKeyLightColor', color: roles.keyLight },
+      { type: 'setFillLightColor', color: roles.fillLight }
+    ];
+    for (const command of commands) {
+      const commandResult = await routeToCurrentSession(command);
+      if (!commandResult.success) {
+        return createCommandErrorResponse(commandResult.error);
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Applied ${harmony} palette (${palette.colors.map(formatPaletteColor).join(', ')}): ` +
+            `model ${formatColorWithName(roles.model)}, background ${formatColorWithName(roles.background)}, ` +
+            `key light ${formatColorWithName(roles.keyLight)}, fill light ${formatColorWithName(roles.fillLight)}`
+        }
+      ]
+    };
+  }
+);
+
+// Contrast tools
+// Compare the model's base color with the background (lighting is not taken into account)
+const contrastInputSchema = {
+  minRatio: z.number().min(1).max(21).optional()
+    .describe(`Minimum WCAG 2 contrast ratio (defaults to ${WCAG_MIN_RATIO}:1, the minimum for graphical objects)`),
+  minLc: z.number().min(0).max(106).optional()
+    .describe(`Minimum APCA lightness contrast |Lc| (defaults to ${APCA_MIN_LC}, the minimum for large solid shapes)`)
+};
+
+// Format a contrast measurement, e.g., "WCAG 1.85:1 (minimum 3:1, fails), APCA Lc 0 (minimum 45, fails)"
+function formatContrast(contrast, { minRatio = WCAG_MIN_RATIO, minLc = APCA_MIN_LC }) {
+  return `WCAG ${contrast.ratio.toFixed(2)}:1 (minimum ${minRatio}:1, ${contrast.passesWcag ? 'passes' : 'fails'}), ` +
+    `APCA Lc ${contrast.lc.toFixed(1)} (minimum ${minLc}, ${contrast.passesApca ? 'passes' : 'fails'})`;
+}
+
+// Read the model and background colors for the contrast tools
+// Returns {model, background} hex codes or {error}
+async function readContrastColors(sessionId) {
+  try {
+    const { state } = await getState(sessionId);
+    return {
+      model: normalizeColorToHex(state.model?.color || '#808080'),
+      background: normalizeColorToHex(state.background || '#000000')
+    };
+  } catch (error) {
+    return { error: `Error retrieving scene colors: ${error.message}` };
+  }
+}
+
+mcpServer.registerTool(
+  'check_contrast',
+  {
+    title: 'Check Contrast',
+    description: 'Check the contrast between the model color and the background color using the WCAG 2 contrast ratio ' +
+      'and APCA lightness contrast, and warn when the model may be hard to see. Compares the base colors, not the lit render. ' +
+      'Use fix_contrast to adjust the background lightness automatically.',
+    inputSchema: contrastInputSchema
+  },
+  async (thresholds) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const colors = await readContrastColors(sessionId);
+    if (colors.error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: colors.error
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const contrast = measureContrast(colors.model, colors.background, thresholds);
+    const passes = contrast.passesWcag && contrast.passesApca;
+    const verdict = passes
+      ? 'Contrast is sufficient.'
+      : 'Warning: the model may be hard to see against the background. Use fix_contrast to adjust the background lightness.';
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Model ${formatColorWithName(colors.model)} on background ${formatColorWithName(colors.background)}: ` +
+            `${formatContrast(contrast, thresholds)}. ${verdict}`
+        }
+      ]
+    };
+  }
+);
+
+registerSceneTool(
+  'fix_contrast',
+  {
+    title: 'Fix Contrast',
+    description: 'Adjust the background lightness to the nearest value that gives the model enough contrast ' +
+      '(WCAG 2 ratio and APCA Lc), keeping the background hue. Does nothing if the contrast is already sufficient.',
+    inputSchema: {
+      ...contrastInputSchema,
+      ...transitionInputSchema
+    }
+  },
+  async ({ minRatio, minLc, duration, easing }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const colors = await readContrastColors(sessionId);
+    if (colors.error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: colors.error
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const thresholds = { minRatio, minLc };
+    const contrast = measureContrast(colors.model, colors.background, thresholds);
+    if (contrast.passesWcag && contrast.passesApca) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Contrast is already sufficient, background unchanged: ${formatContrast(contrast, thresholds)}`
+          }
+        ]
+      };
+    }
+
+    const fixed = findCompliantBackground(colors.model, colors.background, thresholds);
+    if (!fixed) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `No background lightness gives model ${formatColorWithName(colors.model)} enough contrast ` +
+              `(${formatContrast(contrast, thresholds)}). Try lower minimums or change the model color.`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const commandResult = await routeTransitionToCurrentSession({
+      type: 'changeBackgroundColor',
+      color: fixed.hex
+    }, { duration, easing });
+    if (!commandResult.success) {
+      return createCommandErrorResponse(commandResult.error);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Background changed from ${formatColorWithName(colors.background)} to ${formatColorWithName(fixed.hex)}: ` +
+            `${formatContrast(fixed.contrast, thresholds)}${describeTransition(duration, easing)}`
+        }
+      ]
+    };
+  }
+);
+
+// Lighting style tools
+const lightingStyleNames = Array.from(lightingStyles.keys());
+
+// Zod schema for a key:fill ratio - accepts a number (4) or a ratio string ("4:1")
+const lightingRatioSchema = z.union([
+  z.number().min(1),
+  z.string().refine(
+    (val) => {
+      const ratio = parseLightingRatio(val);
+      return ratio !== null && ratio >= 1;
+    },
+    {
+      message: 'Must be a key:fill ratio of at least 1:1, as a number (e.g., 4) or a string (e.g., "4:1")'
+    }
+  )
+]).describe('Key:fill intensity ratio as a number (e.g., 4) or a string (e.g., "4:1")');
+
+registerSceneTool(
+  'apply_lighting_style',
+  {
+    title: 'Apply Lighting Style',
+    description: 'Arrange the key and fill lights in a classic photographic lighting setup, relative to the camera. ' +
+      'Sets key and fill azimuth/elevation, sets the fill intensity from the key:fill ratio (keeping the current key intensity), ' +
+      'and sets both lights to neutral white. Styles: ' +
+      lightingStyleNames.map((name) => `${name} (${lightingStyles.get(name).description}, default ratio ${lightingStyles.get(name).defaultRatio}:1)`).join('; ') + '.',
+    inputSchema: {
+      style: z.enum(lightingStyleNames).describe(`Lighting style: ${lightingStyleNames.join(', ')}`),
+      ratio: lightingRatioSchema.optional().describe('Key:fill intensity ratio, e.g., 2 or "2:1" (defaults to the style\'s typical ratio)'),
+      side: z.enum(['left', 'right']).optional().describe('Camera side for the key light. Defaults to camera left; for broad and short lighting it defaults to the side implied by the model rotation')
+    }
+  },
+  async ({ style, ratio, side }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    // Query fresh state to keep the key intensity and read the model yaw
+    const state = await queryFreshStateForManipulation(sessionId);
+    const currentKeyIntensity = state?.keyLight?.intensity;
+    const keyIntensity = currentKeyIntensity > 0 ? currentKeyIntensity : 1;
+    let keySide = side ?? 'left';
+    if (!side && (style === 'broad' || style === 'short')) {
+      keySide = keySideForModelYaw(style, state?.model?.rotation?.y ?? 0);
+    }
+
+    const ratioValue = ratio === undefined ? undefined : parseLightingRatio(ratio);
+    const setup = computeLightingStyle(style, { side: keySide, keyIntensity, ratio: ratioValue });
+    const commands = [
+      { type: 'setKeyLightPositionSpherical', azimuth: setup.key.azimuth, elevation: setup.key.elevation },
+      { type: 'setKeyLightIntensity', intensity: setup.key.intensity },
+      { type: 'setKeyLightColor', color: '#ffffff' },
+      { type: 'setFillLightPositionSpherical', azimuth: setup.fill.azimuth, elevation: setup.fill.elevation },
+      { type: 'setFillLightIntensity', intensity: setup.fill.intensity },
+      { type: 'setFillLightColor', color: '#ffffff' }
+    ];
+    for (const command of commands) {
+      const commandResult = await routeToCurrentSession(command);
+      if (!commandResult.success) {
+        return createCommandErrorResponse(commandResult.error);
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Applied ${style} lighting (key on camera ${keySide}, ratio ${setup.ratio}:1): ` +
+            `key at azimuth ${setup.key.azimuth}°, elevation ${setup.key.elevation}°, intensity ${setup.key.intensity}; ` +
+            `fill at azimuth ${setup.fill.azimuth}°, elevation ${setup.fill.elevation}°, intensity ${Number(setup.fill.intensity.toFixed(3))}`
+        }
+      ]
+    };
+  }
+);
+
+// Format a key:fill ratio and its stop difference for display
+function formatLightingRatio(key, fill) {
+  if (fill <= 0) {
+    return 'fill light is off (ratio ∞:1)';
+  }
+  const ratio = key / fill;
+  const stops = Number(lightingRatioToStops(ratio).toFixed(2));
+  return `${Number(ratio.toFixed(2))}:1 (${stops} ${stops === 1 ? 'stop' : 'stops'})`;
+}
+
+registerSceneTool(
+  'get_lighting_ratio',
+  {
+    title: 'Get Lighting Ratio',
+    description: 'Get the current key:fill lighting ratio (e.g., 4:1) and the difference in stops between key and fill, ' +
+      'computed from the current key and fill intensities.',
+    inputSchema: {}
+  },
+  async () => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      const { state, metadata } = await getState(sessionId);
+      const key = state.keyLight?.intensity ?? 0;
+      const fill = state.fillLight?.intensity ?? 0;
+      const ratioText = `${formatLightingRatio(key, fill)}, key ${key}, fill ${fill}`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatStateResponse(ratioText, 'Lighting ratio', sessionId, metadata)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving lighting ratio: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+registerSceneTool(
+  'set_lighting_ratio',
+  {
+    title: 'Set Lighting Ratio',
+    description: 'Set the key:fill lighting ratio (e.g., 2:1, 4:1, 8:1; each doubling is one stop). ' +
+      'By default the fill intensity is changed and the key is kept. ' +
+      'This tool automatically queries fresh state before performing the adjustment to ensure accuracy.',
+    inputSchema: {
+      ratio: lightingRatioSchema,
+      adjust: z.enum(['fill', 'key']).optional().describe('Which light to change to reach the ratio (defaults to "fill")'),
+      preserveTotal: z.boolean().optional().describe('Keep the total exposure (key + fill intensity) constant by adjusting both lights (overrides adjust)')
+    }
+  },
+  async ({ ratio, adjust, preserveTotal }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const ratioValue = parseLightingRatio(ratio);
+    let state;
+    try {
+      ({ state } = await getState(sessionId));
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving light intensities: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const current = {
+      key: state.keyLight?.intensity ?? 0,
+      fill: state.fillLight?.intensity ?? 0
+    };
+    const reference = preserveTotal ? current.key + current.fill : (adjust === 'key' ? current.fill : current.key);
+    if (reference <= 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Cannot set a ratio from the current intensities (key ${current.key}, fill ${current.fill}). ` +
+              'Set a non-zero intensity on the light that is kept first.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const target = intensitiesForRatio(current, ratioValue, { adjust, preserveTotal });
+    const commands = [];
+    if (target.key !== current.key) {
+      commands.push({ type: 'setKeyLightIntensity', intensity: target.key });
+    }
+    if (target.fill !== current.fill) {
+      commands.push({ type: 'setFillLightIntensity', intensity: target.fill });
+    }
+    for (const command of commands) {
+      const commandResult = await routeToCurrentSession(command);
+      if (!commandResult.success) {
+        return createCommandErrorResponse(commandResult.error);
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Lighting ratio set to ${formatLightingRatio(target.key, target.fill)}: ` +
+            `key ${Number(target.key.toFixed(3))}, fill ${Number(target.fill.toFixed(3))} ` +
+            `- was ${formatLightingRatio(current.key, current.fill)}`
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: get_lighting_diagram
+registerSceneTool(
+  'get_lighting_diagram',
+  {
+    title: 'Get Lighting Diagram',
+    description: 'Render a classic top-down studio lighting diagram of the current scene: the model at the center, ' +
+      'the camera, and the key and fill lights (colored, sized and labeled with azimuth, ' +
+      'elevation, distance and intensity). Returns SVG markup, a PNG image, or both.',
+    inputSchema: {
+      format: z.enum(['svg', 'png', 'both']).optional().describe('Output format (defaults to svg)'),
+      size: z.number().int().min(300).max(2048).optional().describe('Width and height of the diagram in pixels (defaults to 600)')
+    }
+  },
+  async ({ format = 'svg', size = 600 }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    let state;
+    try {
+      ({ state } = await getState(sessionId));
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving scene state: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const diagram = buildLightingDiagram(state, { size });
+    const content = [];
+    if (format === 'svg' || format === 'both') {
+      content.push({
+        type: 'text',
+        text: shapesToSvg(diagram.shapes, diagram)
+      });
+    }
+    if (format === 'png' || format === 'both') {
+      content.push({
+        type: 'image',
+        data: encodePng(rasterizeShapes(diagram.shapes, diagram)).toString('base64'),
+        mimeType: 'image/png'
+      });
+    }
+    return { content };
+  }
+);
+
+// Zod schemas describing the scene state object returned by the browser (see getState)
+const vector3Schema = z.object({
+  x: z.number(),
+  y: z.number(),
+  z: z.number()
+});
+
+const lightStateSchema = z.object({
+  intensity: z.number().describe('Light intensity (0.0 or higher)'),
+  color: z.string().describe('Light color as a hex code'),
+  position: z.object({
+    azimuth: z.number().describe('Horizontal angle in degrees (0° = camera forward)'),
+    elevation: z.number().describe('Vertical angle in degrees (0° = horizon, 90° = overhead)'),
+    distance: z.number().describe('Distance from the model origin')
+  }),
+  size: z.object({
+    width: z.number(),
+    height: z.number()
+  })
+});
+
+const sceneStateSchema = z.object({
+  model: z.object({
+    color: z.string().describe('Model color as a hex code'),
+    scale: vector3Schema.describe('Scale factor per axis'),
+    rotation: vector3Schema.describe('Euler angles in degrees (XYZ order)')
+  }),
+  background: z.string().describe('Background color as a hex code'),
+  keyLight: lightStateSchema,
+  fillLight: lightStateSchema,
+  camera: z.object({
+    distance: z.number().describe('Camera distance from origin'),
+    fov: z.number().describe('Camera field of view')
+  })
+});
+
+const sceneStateFields = Object.keys(sceneStateSchema.shape);
+
+registerSceneTool(
+  'get_scene_state',
+  {
+    title: 'Get Scene State',
+    description: 'Get the whole scene state (model, background, key light, fill light, camera) in one query as structured content. ' +
+      'Prefer this over calling several individual getters. Optionally select only some top-level fields. ' +
+      'Query this before relative changes to ensure accuracy.',
+    inputSchema: {
+      fields: z.array(z.enum(sceneStateFields)).min(1).optional()
+        .describe(`Top-level fields to return (defaults to all): ${sceneStateFields.join(', ')}`)
+    },
+    outputSchema: {
+      state: sceneStateSchema.deepPartial(),
+      metadata: z.object({
+        source: z.enum(['fresh', 'cache']),
+        wasCached: z.boolean(),
+        timestamp: z.string()
+      })
+    }
+  },
+  async ({ fields }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      const { state, metadata } = await getState(sessionId);
+      const selectedFields = fields ?? sceneStateFields;
+      const selectedState = Object.fromEntries(
+        selectedFields
+          .filter((field) => state[field] !== undefined)
+          .map((field) => [field, state[field]])
+      );
+
+      const structuredContent = { state: selectedState, metadata };
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(structuredContent, null, 2)
+          }
+        ],
+        structuredContent
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving scene state: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// The eight named compass directions of directionToAzimuthMap (abbreviations left out)
+const compassDirections = Array.from(directionToAzimuthMap.entries()).filter(([name]) => name.length > 3);
+
+// Nearest compass direction name for an azimuth
+function nearestCompassName(azimuth) {
+  let nearest = null;
+  let smallestDifference = Infinity;
+  for (const [name, value] of compassDirections) {
+    const difference = Math.abs((((azimuth - value) % 360) + 540) % 360 - 180);
+    if (difference < smallestDifference) {
+      smallestDifference = difference;
+      nearest = name;
+    }
+  }
+  return nearest;
+}
+
+// Describe where a light comes from, e.g., "high from camera-left at 45° (southwest)"
+function describeLightDirection({ azimuth = 0, elevation = 0 }) {
+  const compass = nearestCompassName(azimuth);
+  if (elevation >= 75) {
+    return `from almost directly overhead (${compass})`;
+  }
+  // Signed angle from the camera axis (the camera side is azimuth 180°): positive toward camera right
+  const offset = (((180 - azimuth) % 360 + 540) % 360) - 180;
+  let side;
+  if (Math.abs(offset) <= 10) {
+    side = 'from the camera position';
+  } else if (Math.abs(offset) >= 170) {
+    side = 'from behind the model';
+  } else {
+    side = `from camera-${offset > 0 ? 'right' : 'left'} at ${Math.round(Math.abs(offset))}°`;
+  }
+  const height = elevation < 10 ? 'low' : elevation >= 30 ? 'high' : '';
+  return `${height ? `${height} ` : ''}${side} (${compass})`;
+}
+
+// Describe a light color: pale tints as warm or cool, stronger colors by name, white and gray as nothing
+function describeLightColor(hex) {
+  const family = hueFamilyName(hex);
+  if (!family) {
+    return '';
+  }
+  const { l } = rgbToHsl(hexToRgb(hex));
+  if (l >= 0.75 && ['red', 'orange', 'yellow'].includes(family)) {
+    return 'warm';
+  }
+  if (l >= 0.75 && ['cyan', 'blue', 'purple'].includes(family)) {
+    return 'cool';
+  }
+  return describeColor(hex);
+}
+
+// Describe one light that is on, e.g., "a warm key light high from camera-left at 45° (southwest)"
+function describeLight(name, light) {
+  const intensity = light.intensity ?? 0;
+  const strength = intensity < 0.5 ? 'dim' : intensity >= 2 ? 'bright' : '';
+  const color = light.color ? describeLightColor(normalizeColorToHex(light.color) ?? light.color) : '';
+  const adjectives = [strength, color, name].filter(Boolean).join(' ');
+  const article = /^[aeiou]/.test(adjectives) ? 'an' : 'a';
+  const direction = light.position ? ` ${describeLightDirection(light.position)}` : '';
+  return `${article} ${adjectives} light${direction}`;
+}
+
+// Format a number with at most two decimals
+function formatNumber(value) {
+  return String(Number(value.toFixed(2)));
+}
+
+// Describe the scene in prose
+function describeScene(state) {
+  const sentences = [];
+  const model = state.model ?? {};
+
+  const modelParts = [`A ${model.color ? describeColor(normalizeColorToHex(model.color) ?? model.color) : 'plain'} model`];
+  if (model.scale) {
+    const { x, y, z } = model.scale;
+    if (x === y && y === z) {
+      if (x !== 1) {
+        modelParts.push(`scaled ${formatNumber(x)}x`);
+      }
+    } else {
+      modelParts.push(`scaled ${formatNumber(x)} × ${formatNumber(y)} × ${formatNumber(z)}`);
+    }
+  }
+  if (model.rotation) {
+    const { x = 0, y = 0, z = 0 } = model.rotation;
+    if (y !== 0) {
+      modelParts.push(`turned ${formatNumber(y)}°`);
+    }
+    const tilts = [
+      x !== 0 ? `${formatNumber(x)}° forward` : null,
+      z !== 0 ? `${formatNumber(z)}° sideways` : null
+    ].filter(Boolean);
+    if (tilts.length > 0) {
+      modelParts.push(`tilted ${tilts.join(' and ')}`);
+    }
+  }
+
+  const lights = [['key', state.keyLight], ['fill', state.fillLight]].filter(([, light]) => light);
+  const litBy = lights.filter(([, light]) => light.intensity > 0).map(([name, light]) => describeLight(name, light));
+  const off = lights.filter(([, light]) => !(light.intensity > 0)).map(([name]) => name);
+  const lighting = [
+    litBy.length > 0 ? `lit by ${litBy.join(' and ')}` : null,
+    off.length > 0 ? `with the ${off.join(' and ')} light${off.length > 1 ? 's' : ''} off` : null
+  ].filter(Boolean).join(' ');
+  const background = state.background
+    ? `on a ${describeColor(normalizeColorToHex(state.background) ?? state.background)} background`
+    : null;
+  sentences.push(`${[...modelParts, lighting, background].filter(Boolean).join(', ')}.`);
+
+  const key = state.keyLight?.intensity ?? 0;
+  const fill = state.fillLight?.intensity ?? 0;
+  if (key > 0 && fill > 0) {
+    sentences.push(`The key-to-fill ratio is ${formatLightingRatio(key, fill)}.`);
+  }
+  if (state.camera) {
+    const cameraParts = [];
+    if (state.camera.distance > 0) {
+      cameraParts.push(`${formatNumber(state.camera.distance)} units away`);
+    }
+    if (state.camera.fov > 0) {
+      cameraParts.push(`with a ${formatNumber(state.camera.fov)}° field of view`);
+    }
+    if (cameraParts.length > 0) {
+      sentences.push(`The camera is ${cameraParts.join(' ')}.`);
+    }
+  }
+  return sentences.join(' ');
+}
+
+// Register tool: describe_scene
+mcpServer.registerTool(
+  'describe_scene',
+  {
+    title: 'Describe Scene',
+    description: 'Describe the current scene in plain prose - model color, size and rotation, how the key and fill ' +
+      'lights fall on it, the background and the camera - using crayon color names and compass directions. ' +
+      'Useful for accessibility and for summarizing the scene.',
+    inputSchema: {}
+  },
+  async () => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      const { state } = await getState(sessionId);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: describeScene(state)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error describing scene: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Format Zod validation issues as a single readable line
+function formatValidationIssues(error) {
+  return error.issues
+    .map((issue) => (issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message))
+    .join('; ');
+}
+
+// Extract the text of a tool result for inclusion in a batch report
+function getToolResultText(result) {
+  return (result?.content || [])
+    .filter((item) => item.type === 'text')
+    .map((item) => item.text)
+    .join(' ');
+}
+
+// Register tool: execute_studio_command
+// Runs many scene operations under one tool call (one approval, one round of routing)
+mcpServer.registerTool(
+  'execute_studio_command',
+  {
+    title: 'Execute Studio Command',
+    description: 'Execute an ordered batch of scene operations in a single call. ' +
+      'Each operation names an existing scene tool (e.g., "set_key_light_color", "rotate_key_light_counterclockwise", "dolly_camera_in") ' +
+      'and the arguments that tool accepts. All operations are validated against the same schemas as the individual tools before any are run, ' +
+      'then executed in sequence. Returns a per-step result report. ' +
+      'Example: "warm it up, swing the key light left 20°, dolly in a bit" → ' +
+      '[{ tool: "set_key_light_color", args: { color: "cantaloupe" } }, { tool: "rotate_key_light_counterclockwise", args: { degrees: 20 } }, { tool: "dolly_camera_in", args: { amount: 1 } }]',
+    inputSchema: {
+      operations: z.array(
+        z.object({
+          tool: z.string().describe('Name of the scene tool to run (e.g., "change_model_color", "set_key_light_intensity")'),
+          args: z.record(z.any()).optional().describe('Arguments for the tool, exactly as the tool itself accepts them (omit for tools without parameters)')
+        })
+      ).min(1).describe('Ordered list of operations to execute'),
+      continueOnError: z.boolean().optional().describe('Keep executing remaining operations after a failed step (defaults to false)')
+    }
+  },
+  withHistory('execute_studio_command', async ({ operations, continueOnError }, extra) => {
+    // Validate every operation up front so a bad step never leaves the scene half-changed
+    const validated = [];
+    const validationErrors = [];
+    operations.forEach((operation, index) => {
+      const tool = sceneTools.get(operation.tool);
+      if (!tool) {
+        validationErrors.push(`Step ${index + 1}: unknown tool "${operation.tool}"`);
+        return;
+      }
+      const parsed = tool.inputSchema.safeParse(operation.args ?? {});
+      if (!parsed.success) {
+        validationErrors.push(`Step ${index + 1} (${operation.tool}): ${formatValidationIssues(parsed.error)}`);
+        return;
+      }
+      validated.push({ name: operation.tool, tool, args: parsed.data });
+    });
+
+    if (validationErrors.length > 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `No operations were executed. Invalid operations:\n${validationErrors.join('\n')}\n\n` +
+              `Available tools: ${Array.from(sceneTools.keys()).join(', ')}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const report = [];
+    let failed = false;
+    for (let i = 0; i < validated.length; i++) {
+      const { name, tool, args } = validated[i];
+      if (failed && !continueOnError) {
+        report.push(`${i + 1}. ${name}: skipped`);
+        continue;
+      }
+
+      let result;
+      try {
+        result = await tool.handler(args, extra);
+      } catch (error) {
+        result = {
+          content: [{ type: 'text', text: error.message }],
+          isError: true
+        };
+      }
+
+      if (result?.isError) {
+        failed = true;
+        report.push(`${i + 1}. ${name}: error - ${getToolResultText(result)}`);
+      } else {
+        report.push(`${i + 1}. ${name}: ok - ${getToolResultText(result)}`);
+      }
+    }
+
+    const summary = failed
+      ? `Studio command finished with errors (${validated.length} operations)`
+      : `Studio command executed (${validated.length} operations)`;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${summary}:\n${report.join('\n')}`
+        }
+      ],
+      ...(failed && { isError: true })
+    };
+  }, { recordOnError: true })
+);
+
+// Move entries from one history stack to the other, restoring the target state
+// Used by undo (undo → redo) and redo (redo → undo)
+async function stepHistory(sessionId, fromStack, toStack, steps) {
+  const { state: currentState } = await getState(sessionId);
+
+  const moved = [];
+  let targetState = currentState;
+  const count = Math.min(steps, fromStack.length);
+  for (let i = 0; i < count; i++) {
+    const entry = fromStack.pop();
+    toStack.push({
+      toolName: entry.toolName,
+      state: targetState,
+      timestamp: entry.timestamp
+    });
+    targetState = entry.state;
+    moved.push(entry.toolName);
+  }
+
+  const errors = await applySceneState(targetState);
+  return { moved, errors };
+}
+
+// Register tool: undo
+mcpServer.registerTool(
+  'undo',
+  {
+    title: 'Undo',
+    description: 'Undo the most recent scene change(s) made through this server by restoring the scene state recorded before them. ' +
+      'Use this when the user says "undo that" or "go back". Use list_history to see what can be undone.',
+    inputSchema: {
+      steps: z.number().int().positive().optional().describe('Number of changes to undo (defaults to 1)')
+    }
+  },
+  async ({ steps }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const history = getSessionHistory(sessionId);
+    if (history.undo.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Nothing to undo'
+          }
+        ]
+      };
+    }
+
+    try {
+      const { moved, errors } = await stepHistory(sessionId, history.undo, history.redo, steps ?? 1);
+      if (errors.length > 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Undo of ${moved.join(', ')} was not fully applied: ${errors.join('; ')}`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Undid ${moved.length} change(s): ${moved.join(', ')}`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error undoing change: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: redo
+mcpServer.registerTool(
+  'redo',
+  {
+    title: 'Redo',
+    description: 'Redo scene change(s) that were previously undone. Any new scene change clears the redo history.',
+    inputSchema: {
+      steps: z.number().int().positive().optional().describe('Number of changes to redo (defaults to 1)')
+    }
+  },
+  async ({ steps }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const history = getSessionHistory(sessionId);
+    if (history.redo.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Nothing to redo'
+          }
+        ]
+      };
+    }
+
+    try {
+      const { moved, errors } = await stepHistory(sessionId, history.redo, history.undo, steps ?? 1);
+      if (errors.length > 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Redo of ${moved.join(', ')} was not fully applied: ${errors.join('; ')}`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Redid ${moved.length} change(s): ${moved.join(', ')}`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error redoing change: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: list_history
+mcpServer.registerTool(
+  'list_history',
+  {
+    title: 'List History',
+    description: 'List the scene changes that can be undone and redone in this session, most recent first.',
+    inputSchema: {}
+  },
+  async () => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const history = getSessionHistory(sessionId);
+    const formatEntries = (entries) => entries.length > 0
+      ? entries.slice().reverse().map((entry, index) => `  ${index + 1}. ${entry.toolName} (${entry.timestamp})`).join('\n')
+      : '  (none)';
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Undo history (${history.undo.length}):\n${formatEntries(history.undo)}\n` +
+            `Redo history (${history.redo.length}):\n${formatEntries(history.redo)}`
+        }
+      ]
+    };
+  }
+);
+
+// Path of the JSON file holding all saved looks
+const LOOKS_FILE = join(LOOKS_DIR, 'looks.json');
+
+// Look names are matched case-insensitively
+function normalizeLookName(name) {
+  return name.trim().toLowerCase();
+}
+
+// Read all saved looks from disk
+// Returns {[normalizedName]: {name, state, savedAt}} without a prototype, so look names such as "constructor"
+// or "__proto__" are plain keys
+function readLooks() {
+  const looks = Object.create(null);
+  if (!existsSync(LOOKS_FILE)) {
+    return looks;
+  }
+  return Object.assign(looks, JSON.parse(readFileSync(LOOKS_FILE, 'utf-8')));
+}
+
+// Write all saved looks to disk (via a temp file so a crash never leaves a partial store)
+function writeLooks(looks) {
+  mkdirSync(LOOKS_DIR, { recursive: true });
+  const tempFile = `${LOOKS_FILE}.tmp`;
+  writeFileSync(tempFile, JSON.stringify(looks, null, 2) + '\n');
+  renameSync(tempFile, LOOKS_FILE);
+}
+
+const lookNameSchema = z.string().trim().min(1).max(100).describe('Name of the look (case-insensitive), e.g., "moody product shot"');
+
+// Register tool: save_look
+mcpServer.registerTool(
+  'save_look',
+  {
+    title: 'Save Look',
+    description: 'Save the full current scene (model color/scale/rotation, background, key and fill light color/intensity/position/size, camera distance/FOV) ' +
+      'under a name so it can be recalled later with apply_look, even after a server restart. Saving under an existing name replaces that look.',
+    inputSchema: {
+      name: lookNameSchema
+    }
+  },
+  async ({ name }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      const { state, metadata } = await getState(sessionId);
+      const looks = readLooks();
+      const key = normalizeLookName(name);
+      const replaced = Object.hasOwn(looks, key);
+      looks[key] = {
+        name,
+        state,
+        savedAt: new Date().toISOString()
+      };
+      writeLooks(looks);
+
+      const stalenessWarning = metadata.wasCached
+        ? ' (using cached state - browser may be disconnected)'
+        : '';
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Look "${name}" ${replaced ? 'updated' : 'saved'}${stalenessWarning}`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error saving look: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: apply_look
+registerSceneTool(
+  'apply_look',
+  {
+    title: 'Apply Look',
+    description: 'Restore a previously saved look, setting the model, background, lights and camera to the saved values. Use list_looks to see saved looks.',
+    inputSchema: {
+      name: lookNameSchema
+    }
+  },
+  async ({ name }) => {
+    let look;
+    try {
+      const looks = readLooks();
+      const key = normalizeLookName(name);
+      look = Object.hasOwn(looks, key) ? looks[key] : undefined;
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error reading looks: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    if (!look) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Look not found: ${name}. Use list_looks to see saved looks.`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const errors = await applySceneState(look.state);
+    if (errors.length > 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Look "${look.name}" was not fully applied: ${errors.join('; ')}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Look "${look.name}" applied (saved ${look.savedAt})`
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: list_looks
+mcpServer.registerTool(
+  'list_looks',
+  {
+    title: 'List Looks',
+    description: 'List all saved looks with when they were saved and a short summary of each.',
+    inputSchema: {}
+  },
+  async () => {
+    let looks;
+    try {
+      looks = Object.values(readLooks());
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error reading looks: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    if (looks.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'No saved looks'
+          }
+        ]
+      };
+    }
+
+    const lines = looks
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((look) => {
+        const { state } = look;
+        return `- ${look.name} (saved ${look.savedAt}): model ${state.model?.color}, background ${state.background}, ` +
+          `key ${state.keyLight?.color} @ ${state.keyLight?.intensity}, fill ${state.fillLight?.color} @ ${state.fillLight?.intensity}`;
+      });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Saved looks (${looks.length}):\n${lines.join('\n')}`
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: delete_look
+mcpServer.registerTool(
+  'delete_look',
+  {
+    title: 'Delete Look',
+    description: 'Delete a saved look by name.',
+    inputSchema: {
+      name: lookNameSchema
+    }
+  },
+  async ({ name }) => {
+    try {
+      const looks = readLooks();
+      const key = normalizeLookName(name);
+      if (!Object.hasOwn(looks, key)) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Look not found: ${name}`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      const deletedName = looks[key].name;
+      delete looks[key];
+      writeLooks(looks);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Look "${deletedName}" deleted`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error deleting look: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: capture_screenshot
+mcpServer.registerTool(
+  'capture_screenshot',
+  {
+    title: 'Capture Screenshot',
+    description: 'Capture an image of the rendered 3D scene from the browser so you can see the result of your changes.',
+    inputSchema: {
+      width: z.number().int().min(16).max(4096).optional().describe('Image width in pixels (defaults to the canvas width)'),
+      height: z.number().int().min(16).max(4096).optional().describe('Image height in pixels (defaults to the canvas height)'),
+      format: z.enum(['png', 'jpeg']).optional().describe('Image format (defaults to png; jpeg is smaller)'),
+      timeout: z.number().min(1).max(60).optional().describe(`Seconds to wait for the browser (defaults to ${SCREENSHOT_TIMEOUT / 1000})`)
+    }
+  },
+  async ({ width, height, format, timeout }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      const { data, mimeType } = await captureScreenshotFromBrowser(sessionId, {
+        width,
+        height,
+        format,
+        timeout: timeout !== undefined ? timeout * 1000 : SCREENSHOT_TIMEOUT
+      });
+      return {
+        content: [
+          {
+            type: 'image',
+            data,
+            mimeType
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error capturing screenshot: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Width of frames captured for exposure analysis (small frames decode quickly and are plenty for statistics)
+const EXPOSURE_ANALYSIS_WIDTH = 256;
+
+// Capture a frame from the browser and analyze its exposure
+// When excludeBackground is set, pixels showing the bare scene background are left out
+async function captureExposureAnalysis(sessionId, { excludeBackground = true } = {}) {
+  const { data, mimeType } = await captureScreenshotFromBrowser(sessionId, {
+    width: EXPOSURE_ANALYSIS_WIDTH,
+    format: 'png'
+  });
+  if (mimeType !== 'image/png') {
+    throw new Error(`Exposure analysis needs a PNG frame, but the browser returned ${mimeType}`);
+  }
+  const image = decodePng(Buffer.from(data, 'base64'));
+
+  let ignoreColor = null;
+  if (excludeBackground) {
+    const { state } = await getState(sessionId);
+    const background = normalizeColorToHex(state.background);
+    ignoreColor = background ? hexToRgb(background) : null;
+  }
+  return analyzeExposure(image, { ignoreColor });
+}
+
+// Format a percentage (from a 0-1 fraction) for tool responses
+function formatPercent(fraction) {
+  return `${(fraction * 100).toFixed(1)}%`;
+}
+
+// Format an exposure analysis for tool responses
+function formatExposureAnalysis(analysis) {
+  const ignored = analysis.ignoredPixels > 0 ? ` (${analysis.ignoredPixels} background pixels ignored)` : '';
+  return `Mean brightness: ${formatPercent(analysis.mean)} (median ${formatPercent(analysis.median)}, mid-gray is ${formatPercent(MID_GRAY)})\n` +
+    `Clipped shadows: ${formatPercent(analysis.shadowsClipped)}, clipped highlights: ${formatPercent(analysis.highlightsClipped)}\n` +
+    `Pixels analyzed: ${analysis.pixels}${ignored}\n` +
+    `Histogram (${analysis.histogram.length} bins, dark to bright, % of pixels): ` +
+    analysis.histogram.map((fraction) => (fraction * 100).toFixed(1)).join(' ');
+}
+
+// Register tool: analyze_exposure
+mcpServer.registerTool(
+  'analyze_exposure',
+  {
+    title: 'Analyze Exposure',
+    description: 'Capture a frame from the browser and measure its exposure: mean and median brightness, ' +
+      'the share of clipped shadows and highlights, and a luminance histogram.',
+    inputSchema: {
+      excludeBackground: z.boolean().optional().describe('Leave out pixels showing the bare scene background (defaults to true)')
+    }
+  },
+  async ({ excludeBackground = true }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      const analysis = await captureExposureAnalysis(sessionId, { excludeBackground });
+      if (analysis.pixels === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'Error: The frame has no pixels to analyze (only background is visible).'
+            }
+          ],
+          isError: true
+        };
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatExposureAnalysis(analysis)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error analyzing exposure: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: auto_expose
+registerSceneTool(
+  'auto_expose',
+  {
+    title: 'Auto Expose',
+    description: 'Adjust the key and fill light intensities until the mean brightness of the rendered frame reaches a target ' +
+      '(mid-gray by default). Both lights are scaled by the same factor, so the lighting ratio is preserved. ' +
+      'Each step captures a frame, measures it and corrects the intensities.',
+    inputSchema: {
+      target: z.number().min(0.05).max(0.95).optional().describe(`Target mean brightness (0-1, defaults to ${MID_GRAY} - mid-gray)`),
+      tolerance: z.number().min(0.005).max(0.2).optional().describe('Acceptable distance from the target (defaults to 0.02)'),
+      maxIterations: z.number().int().min(1).max(10).optional().describe('Maximum number of adjustments (defaults to 6)'),
+      excludeBackground: z.boolean().optional().describe('Leave out pixels showing the bare scene background (defaults to true)')
+    }
+  },
+  async ({ target = MID_GRAY, tolerance = 0.02, maxIterations = 6, excludeBackground = true }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    let intensities;
+    let analysis;
+    try {
+      const { state } = await getState(sessionId);
+      intensities = {
+        key: state.keyLight?.intensity ?? 0,
+        fill: state.fillLight?.intensity ?? 0
+      };
+      analysis = await captureExposureAnalysis(sessionId, { excludeBackground });
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error analyzing exposure: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    if (intensities.key === 0 && intensities.fill === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: The key and fill lights are both off, so scaling their intensity cannot change the exposure.'
+          }
+        ],
+        isError: true
+      };
+    }
+    if (analysis.pixels === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: The frame has no pixels to analyze (only background is visible).'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const steps = [];
+    const initial = { ...intensities };
+    let converged = false;
+    for (let iteration = 0; ; iteration++) {
+      steps.push(`  ${iteration}. key ${intensities.key.toFixed(3)}, fill ${intensities.fill.toFixed(3)} → mean ${formatPercent(analysis.mean)}`);
+      converged = Math.abs(analysis.mean - target) <= tolerance;
+      if (converged || iteration === maxIterations) {
+        break;
+      }
+
+      const factor = exposureCorrectionFactor(analysis.mean, target);
+      intensities = { key: intensities.key * factor, fill: intensities.fill * factor };
+      for (const [type, intensity] of [['setKeyLightIntensity', intensities.key], ['setFillLightIntensity', intensities.fill]]) {
+        const commandResult = await routeToCurrentSession({ type, intensity });
+        if (!commandResult.success) {
+          return createCommandErrorResponse(commandResult.error);
+        }
+      }
+
+      try {
+        analysis = await captureExposureAnalysis(sessionId, { excludeBackground });
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error analyzing exposure: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+
+    const outcome = converged
+      ? `Exposure reached ${formatPercent(analysis.mean)} (target ${formatPercent(target)} ± ${formatPercent(tolerance)})`
+      : `Exposure is ${formatPercent(analysis.mean)} after ${maxIterations} adjustment(s), short of the target ${formatPercent(target)} ± ${formatPercent(tolerance)}`;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${outcome}. Key light ${initial.key} → ${intensities.key.toFixed(3)}, fill light ${initial.fill} → ${intensities.fill.toFixed(3)}\n` +
+            `Steps:\n${steps.join('\n')}\n` +
+            `Clipped shadows: ${formatPercent(analysis.shadowsClipped)}, clipped highlights: ${formatPercent(analysis.highlightsClipped)}`
+        }
+      ]
+    };
+  }
+);
+
+// Interval between turntable rotation steps (milliseconds)
+const TURNTABLE_TICK_INTERVAL = 50;
+
+// Rotation commands sent on each turntable step, by target and direction
+const turntableCommands = {
+  model: {
+    clockwise: ['rotateModelClockwise'],
+    counterclockwise: ['rotateModelCounterclockwise']
+  },
+  lights: {
+    clockwise: ['rotateKeyLightClockwise', 'rotateFillLightClockwise'],
+    counterclockwise: ['rotateKeyLightCounterclockwise', 'rotateFillLightCounterclockwise']
+  }
+};
+
+// Store the running turntable per session
+// Map<sessionId, {target, direction, degreesPerSecond, lightsFollowModel, commandTypes, startedAt, totalDegrees, timer}>
+const turntables = new Map();
+
+// Advance a session's turntable by the rotation accumulated since the previous step
+// Each step waits for the browser acknowledgements before scheduling the next one
+async function stepTurntable(sessionId, turntable, lastStepAt) {
+  const now = Date.now();
+  const degrees = turntable.degreesPerSecond * (now - lastStepAt) / 1000;
+
+  for (const type of turntable.commandTypes) {
+    if (turntables.get(sessionId) !== turntable) {
+      return;
+    }
+    const commandResult = await sendCommandToSession(sessionId, { type, degrees });
+    if (!commandResult.success) {
+      console.warn(`Stopping turntable for session ${sessionId}: ${commandResult.error}`);
+      if (turntables.get(sessionId) === turntable) {
+        stopTurntable(sessionId);
+      }
+      return;
+    }
+  }
+
+  turntable.totalDegrees += degrees;
+  if (turntables.get(sessionId) === turntable) {
+    turntable.timer = setTimeout(() => stepTurntable(sessionId, turntable, now), TURNTABLE_TICK_INTERVAL);
+  }
+}
+
+// Stop a session's turntable, returning the stopped turntable (or null if none was running)
+function stopTurntable(sessionId) {
+  const turntable = turntables.get(sessionId);
+  if (!turntable) {
+    return null;
+  }
+  clearTimeout(turntable.timer);
+  turntables.delete(sessionId);
+  console.warn(`Turntable stopped for session ${sessionId} after ${Math.round(turntable.totalDegrees)}°`);
+  return turntable;
+}
+
+// Describe a turntable's settings for tool responses
+function describeTurntable({ target, direction, degreesPerSecond, lightsFollowModel }) {
+  const subject = target === 'model' ? 'Model' : 'Key and fill lights';
+  const follow = lightsFollowModel ? ', lights following the model' : '';
+  return `${subject} turning ${direction} at ${degreesPerSecond}°/s${follow}`;
+}
+
+// Register tool: start_turntable
+mcpServer.registerTool(
+  'start_turntable',
+  {
+    title: 'Start Turntable',
+    description: 'Continuously rotate the model (or orbit the key and fill lights around it) until stop_turntable is called. ' +
+      'Rotation runs on a server-side timer at the given speed and stops automatically when the browser disconnects. ' +
+      'Starting a turntable while one is running replaces its settings.',
+    inputSchema: {
+      degreesPerSecond: z.number().positive().max(360).optional().describe('Rotation speed in degrees per second (defaults to 30)'),
+      direction: z.enum(['clockwise', 'counterclockwise']).optional().describe('Rotation direction (defaults to clockwise)'),
+      target: z.enum(['model', 'lights']).optional().describe('What to rotate: the model, or the key and fill lights orbiting it (defaults to model)'),
+      lightsFollowModel: z.boolean().optional().describe('When rotating the model, orbit the key and fill lights with it so the lighting stays fixed on the model')
+    }
+  },
+  async ({ degreesPerSecond = 30, direction = 'clockwise', target = 'model', lightsFollowModel = false }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    if (!wsClients.has(sessionId)) {
+      return createCommandErrorResponse('Browser not connected');
+    }
+
+    const follow = target === 'model' && lightsFollowModel;
+    const commandTypes = [
+      ...turntableCommands[target][direction],
+      ...(follow ? turntableCommands.lights[direction] : [])
+    ];
+
+    const previous = stopTurntable(sessionId);
+    const turntable = {
+      target,
+      direction,
+      degreesPerSecond,
+      lightsFollowModel: follow,
+      commandTypes,
+      startedAt: Date.now(),
+      totalDegrees: 0,
+      timer: null
+    };
+    turntables.set(sessionId, turntable);
+    turntable.timer = setTimeout(() => stepTurntable(sessionId, turntable, turntable.startedAt), TURNTABLE_TICK_INTERVAL);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Turntable ${previous ? 'updated' : 'started'}: ${describeTurntable(turntable)}`
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: stop_turntable
+mcpServer.registerTool(
+  'stop_turntable',
+  {
+    title: 'Stop Turntable',
+    description: 'Stop the running turntable, leaving the model and lights where they are.',
+    inputSchema: {}
+  },
+  async () => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const turntable = stopTurntable(sessionId);
+    if (!turntable) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'No turntable is running.'
+          }
+        ]
+      };
+    }
+
+    const seconds = (Date.now() - turntable.startedAt) / 1000;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Turntable stopped: ${describeTurntable(turntable)} ran for ${seconds.toFixed(1)}s, ` +
+            `turning ${Math.round(turntable.totalDegrees)}° in total`
+        }
+      ]
+    };
+  }
+);
+
+// Interval between timeline playback frames (50ms = 20 frames per second)
+const TIMELINE_TICK_INTERVAL = 50;
+
+// Maximum keyframe time (seconds)
+const MAX_TIMELINE_DURATION = 600;
+
+// Scene properties that can be keyframed (or varied on a contact sheet), by path in the state object
+// kind selects the interpolator; commandType is the WebSocket command that applies the property
+const timelineProperties = new Map()
+  .set('model.color', { kind: 'color', commandType: 'changeColor' })
+  .set('model.scale.x', { kind: 'number', commandType: 'scaleModel', min: 0 })
+  .set('model.scale.y', { kind: 'number', commandType: 'scaleModel', min: 0 })
+  .set('model.scale.z', { kind: 'number', commandType: 'scaleModel', min: 0 })
+  .set('model.rotation.x', { kind: 'number', commandType: 'setModelRotation' })
+  .set('model.rotation.y', { kind: 'number', commandType: 'setModelRotation' })
+  .set('model.rotation.z', { kind: 'number', commandType: 'setModelRotation' })
+  .set('background', { kind: 'color', commandType: 'changeBackgroundColor' })
+  .set('keyLight.intensity', { kind: 'number', commandType: 'setKeyLightIntensity', min: 0 })
+  .set('keyLight.color', { kind: 'color', commandType: 'setKeyLightColor' })
+  .set('keyLight.position.azimuth', { kind: 'azimuth', commandType: 'setKeyLightPositionSpherical' })
+  .set('keyLight.position.elevation', { kind: 'number', commandType: 'setKeyLightPositionSpherical', min: 0, max: 90 })
+  .set('keyLight.position.distance', { kind: 'number', commandType: 'setKeyLightDistance', min: 0 })
+  .set('keyLight.size.width', { kind: 'number', commandType: 'setKeyLightSize', min: 0 })
+  .set('keyLight.size.height', { kind: 'number', commandType: 'setKeyLightSize', min: 0 })
+  .set('fillLight.intensity', { kind: 'number', commandType: 'setFillLightIntensity', min: 0 })
+  .set('fillLight.color', { kind: 'color', commandType: 'setFillLightColor' })
+  .set('fillLight.position.azimuth', { kind: 'azimuth', commandType: 'setFillLightPositionSpherical' })
+  .set('fillLight.position.elevation', { kind: 'number', commandType: 'setFillLightPositionSpherical', min: 0, max: 90 })
+  .set('fillLight.position.distance', { kind: 'number', commandType: 'setFillLightDistance', min: 0 })
+  .set('fillLight.size.width', { kind: 'number', commandType: 'setFillLightSize', min: 0 })
+  .set('fillLight.size.height', { kind: 'number', commandType: 'setFillLightSize', min: 0 })
+  .set('camera.distance', { kind: 'number', commandType: 'dollyCamera', min: 0 })
+  .set('camera.fov', { kind: 'number', commandType: 'setCameraFOV', min: 0 });
+
+const timelinePropertyNames = Array.from(timelineProperties.keys());
+
+// Store the keyframe timeline per session
+// Map<sessionId, {keyframes: Array<{time, property, value, easing}>, position, playback, baseState, sceneState,
+//   lastSent: Map<commandType, string>}>
+const sessionTimelines = new Map();
+
+// Get or create the timeline for a session
+function getSessionTimeline(sessionId) {
+  if (!sessionTimelines.has(sessionId)) {
+    sessionTimelines.set(sessionId, {
+      keyframes: [],
+      position: 0,
+      playback: null,
+      baseState: null,
+      sceneState: null,
+      lastSent: new Map()
+    });
+  }
+  return sessionTimelines.get(sessionId);
+}
+
+// Convert a keyframe value to the property's internal form (hex color, azimuth in degrees or number)
+// Returns null if the value is not valid for the property
+function parseTimelineValue(property, value) {
+  const { kind, min, max } = timelineProperties.get(property);
+  if (kind === 'color') {
+    return normalizeColorToHex(value);
+  }
+  let number = value;
+  if (kind === 'azimuth') {
+    number = parseAzimuth(value);
+  } else if (property.endsWith('.elevation')) {
+    number = parseElevation(value);
+  }
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    return null;
+  }
+  if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+    return null;
+  }
+  return kind === 'azimuth' ? ((number % 360) + 360) % 360 : number;
+}
+
+// Timeline length: the time of the last keyframe (seconds)
+function getTimelineDuration(timeline) {
+  return timeline.keyframes.reduce((latest, keyframe) => Math.max(latest, keyframe.time), 0);
+}
+
+// Get a value from a nested object by dot-separated path
+function getValueAtPath(source, path) {
+  return path.split('.').reduce((node, key) => node?.[key], source);
+}
+
+// Value of one property at a time on the timeline
+// Before the first keyframe the property moves from its value when playback started (held if unknown);
+// after the last keyframe it holds. Each keyframe's easing shapes the segment leading into it
+function getTimelinePropertyValue(timeline, property, time) {
+  const track = timeline.keyframes.filter((keyframe) => keyframe.property === property);
+  const baseValue = getValueAtPath(timeline.baseState, property);
+  if (track[0].time > 0 && typeof baseValue === typeof track[0].value) {
+    track.unshift({ time: 0, value: baseValue });
+  }
+  if (time <= track[0].time) {
+    return track[0].value;
+  }
+  for (let i = 1; i < track.length; i++) {
+    const from = track[i - 1];
+    const to = track[i];
+    if (time <= to.time) {
+      const t = easingFunctions.get(to.easing)((time - from.time) / (to.time - from.time));
+      return interpolateValue(timelineProperties.get(property).kind, from.value, to.value, t);
+    }
+  }
+  return track[track.length - 1].value;
+}
+
+// Set a value in a nested object by dot-separated path, creating intermediate objects
+function setValueAtPath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] ?? {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+// Build the commands that apply property values (Map<property path, value>) on top of a scene state
+// Only the commands that carry the given properties are returned; their other fields come from the state
+function buildPropertyCommands(state, propertyValues) {
+  const targetState = structuredClone(state ?? {});
+  const commandTypes = new Set();
+  for (const [property, value] of propertyValues) {
+    setValueAtPath(targetState, property, value);
+    commandTypes.add(timelineProperties.get(property).commandType);
+  }
+  return buildSceneStateCommands(targetState).filter((command) => commandTypes.has(command.type));
+}
+
+// Send the commands for the scene at a time on the timeline
+// Only keyframed properties are applied, and commands identical to the previous frame are skipped
+// Returns {success: boolean, error?: string}
+async function applyTimelineFrame(sessionId, timeline, time) {
+  const propertyValues = new Map();
+  for (const property of new Set(timeline.keyframes.map((keyframe) => keyframe.property))) {
+    propertyValues.set(property, getTimelinePropertyValue(timeline, property, time));
+  }
+
+  for (const command of buildPropertyCommands(timeline.sceneState, propertyValues)) {
+    const serialized = JSON.stringify(command);
+    if (timeline.lastSent.get(command.type) === serialized) {
+      continue;
+    }
+    const commandResult = await sendCommandToSession(sessionId, command);
+    if (!commandResult.success) {
+      return commandResult;
+    }
+    timeline.lastSent.set(command.type, serialized);
+  }
+  return { success: true };
+}
+
+// Prepare a timeline for applying frames
+// The scene state is read on every play and seek, so fields that share a command with a keyframed property
+// (e.g., the elevation when only the azimuth is keyframed) keep their current values. The starting values of
+// keyframed properties come from the state captured the first time the timeline plays after its keyframes
+// changed, so replays start from the same values
+async function prepareTimeline(sessionId, timeline) {
+  const { state } = await getState(sessionId);
+  timeline.sceneState = state;
+  timeline.baseState = timeline.baseState ?? state;
+  // The scene may have changed since the last frame, so resend every command
+  timeline.lastSent.clear();
+}
+
+// Advance timeline playback to the current time, then schedule the next frame
+async function stepTimeline(sessionId, timeline, playback) {
+  const duration = getTimelineDuration(timeline);
+  let position = playback.startPosition + (Date.now() - playback.startedAt) / 1000;
+  const finished = position >= duration && !playback.loop;
+  if (finished) {
+    position = duration;
+  } else if (playback.loop && duration > 0) {
+    position %= duration;
+  }
+
+  const commandResult = await applyTimelineFrame(sessionId, timeline, position);
+  if (timeline.playback !== playback) {
+    return;
+  }
+  timeline.position = position;
+  if (!commandResult.success) {
+    console.warn(`Stopping timeline for session ${sessionId}: ${commandResult.error}`);
+    pauseTimeline(timeline);
+    return;
+  }
+  if (finished) {
+    timeline.playback = null;
+    return;
+  }
+  playback.timer = setTimeout(() => stepTimeline(sessionId, timeline, playback), TIMELINE_TICK_INTERVAL);
+}
+
+// Start timeline playback from its current position
+function playTimeline(sessionId, timeline, { loop = false } = {}) {
+  pauseTimeline(timeline);
+  const playback = {
+    startPosition: timeline.position,
+    startedAt: Date.now(),
+    loop,
+    timer: null
+  };
+  timeline.playback = playback;
+  playback.timer = setTimeout(() => stepTimeline(sessionId, timeline, playback), 0);
+}
+
+// Stop timeline playback, keeping its position
+// Returns true if the timeline was playing
+function pauseTimeline(timeline) {
+  if (!timeline?.playback) {
+    return false;
+  }
+  const { playback } = timeline;
+  clearTimeout(playback.timer);
+  const duration = getTimelineDuration(timeline);
+  const position = playback.startPosition + (Date.now() - playback.startedAt) / 1000;
+  timeline.position = playback.loop && duration > 0 ? position % duration : Math.min(position, duration);
+  timeline.playback = null;
+  return true;
+}
+
+// Describe the timeline position for tool responses
+function describeTimelinePosition(timeline) {
+  const state = timeline.playback ? `playing${timeline.playback.loop ? ' (looping)' : ''}` : 'paused';
+  return `${state} at ${timeline.position.toFixed(2)}s of ${getTimelineDuration(timeline)}s`;
+}
+
+// Register tool: add_keyframe
+mcpServer.registerTool(
+  'add_keyframe',
+  {
+    title: 'Add Keyframe',
+    description: 'Add a keyframe to this session\'s animation timeline: the value a scene property should reach at a time. ' +
+      'Between keyframes the property is interpolated (colors through HSL, azimuths the shortest way around). ' +
+      'A keyframe at the same time for the same property is replaced. Use play_timeline to play the animation. ' +
+      `Properties: ${timelinePropertyNames.join(', ')}.`,
+    inputSchema: {
+      time: z.number().min(0).max(MAX_TIMELINE_DURATION).describe('Time of the keyframe in seconds from the start of the timeline'),
+      property: z.enum(timelinePropertyNames).describe('Scene property path, e.g., "keyLight.position.azimuth" or "model.color"'),
+      value: z.union([z.number(), z.string()]).describe(
+        'Value at this time: a number, a color (hex code, CSS color or Apple crayon color name) for color properties, ' +
+        'a number or direction phrase (e.g., "north", "2 o\'clock", "camera left") for azimuth properties, ' +
+        'or a number or elevation name (e.g., "eye level", "high") for elevation properties'
+      ),
+      easing: z.enum(easingNames).optional().describe(`Easing of the segment leading into this keyframe: ${easingNames.join(', ')} (defaults to linear)`)
+    }
+  },
+  async ({ time, property, value, easing = 'linear' }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const parsedValue = parseTimelineValue(property, value);
+    if (parsedValue === null) {
+      const { kind, min, max } = timelineProperties.get(property);
+      const expected = kind === 'color'
+        ? 'a hex code, CSS color or Apple crayon color name'
+        : kind === 'azimuth'
+          ? 'a number or direction name'
+          : `a number${min !== undefined ? ` of at least ${min}` : ''}${max !== undefined ? ` and at most ${max}` : ''}`;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Invalid value ${JSON.stringify(value)} for ${property}. Expected ${expected}.`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const timeline = getSessionTimeline(sessionId);
+    const replaced = timeline.keyframes.some((keyframe) => keyframe.time === time && keyframe.property === property);
+    timeline.keyframes = timeline.keyframes
+      .filter((keyframe) => !(keyframe.time === time && keyframe.property === property))
+      .concat({ time, property, value: parsedValue, easing })
+      .sort((a, b) => a.time - b.time);
+    // Starting values are captured again on the next play
+    timeline.baseState = null;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Keyframe ${replaced ? 'replaced' : 'added'}: ${property} = ${parsedValue} at ${time}s (${easing}). ` +
+            `Timeline has ${timeline.keyframes.length} keyframe(s) over ${getTimelineDuration(timeline)}s`
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: list_keyframes
+mcpServer.registerTool(
+  'list_keyframes',
+  {
+    title: 'List Keyframes',
+    description: 'List the keyframes on this session\'s animation timeline in time order, with the playback position.',
+    inputSchema: {}
+  },
+  async () => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const timeline = getSessionTimeline(sessionId);
+    if (timeline.keyframes.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'The timeline has no keyframes. Use add_keyframe to add one.'
+          }
+        ]
+      };
+    }
+
+    const lines = timeline.keyframes.map((keyframe) =>
+      `  ${keyframe.time}s  ${keyframe.property} = ${keyframe.value} (${keyframe.easing})`
+    );
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Timeline ${describeTimelinePosition(timeline)}:\n${lines.join('\n')}`
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: play_timeline
+mcpServer.registerTool(
+  'play_timeline',
+  {
+    title: 'Play Timeline',
+    description: 'Play this session\'s keyframe animation from the current position (or from the start once it has finished). ' +
+      'Before its first keyframe, each property moves from the value it had when the timeline was first played.',
+    inputSchema: {
+      loop: z.boolean().optional().describe('Repeat the animation until paused (defaults to false)')
+    }
+  },
+  async ({ loop = false }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const timeline = getSessionTimeline(sessionId);
+    if (timeline.keyframes.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: The timeline has no keyframes. Use add_keyframe first.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    pauseTimeline(timeline);
+    try {
+      await prepareTimeline(sessionId, timeline);
+    } catch (error) {
+      return createCommandErrorResponse(error.message);
+    }
+    if (timeline.position >= getTimelineDuration(timeline)) {
+      timeline.position = 0;
+    }
+    playTimeline(sessionId, timeline, { loop });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Timeline ${describeTimelinePosition(timeline)}`
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: pause_timeline
+mcpServer.registerTool(
+  'pause_timeline',
+  {
+    title: 'Pause Timeline',
+    description: 'Pause keyframe animation playback, keeping the current position.',
+    inputSchema: {}
+  },
+  async () => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const timeline = getSessionTimeline(sessionId);
+    const wasPlaying = pauseTimeline(timeline);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: wasPlaying
+            ? `Timeline ${describeTimelinePosition(timeline)}`
+            : `Timeline was not playing (${describeTimelinePosition(timeline)})`
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: seek_timeline
+mcpServer.registerTool(
+  'seek_timeline',
+  {
+    title: 'Seek Timeline',
+    description: 'Jump to a time on this session\'s keyframe animation and show the scene at that time. ' +
+      'Playback continues from the new position if the timeline was playing.',
+    inputSchema: {
+      time: z.number().min(0).max(MAX_TIMELINE_DURATION).describe('Time in seconds from the start of the timeline')
+    }
+  },
+  async ({ time }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const timeline = getSessionTimeline(sessionId);
+    if (timeline.keyframes.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: The timeline has no keyframes. Use add_keyframe first.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const playback = timeline.playback;
+    pauseTimeline(timeline);
+    timeline.position = Math.min(time, getTimelineDuration(timeline));
+
+    if (playback) {
+      timeline.lastSent.clear();
+      playTimeline(sessionId, timeline, { loop: playback.loop });
+    } else {
+      try {
+        await prepareTimeline(sessionId, timeline);
+      } catch (error) {
+        return createCommandErrorResponse(error.message);
+      }
+      const commandResult = await applyTimelineFrame(sessionId, timeline, timeline.position);
+      if (!commandResult.success) {
+        return createCommandErrorResponse(commandResult.error);
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Timeline ${describeTimelinePosition(timeline)}`
+        }
+      ]
+    };
+  }
+);
+
+// Maximum number of variants in one contact sheet
+const MAX_VARIATIONS = 16;
+
+// Properties measured in degrees, labeled with a degree sign on contact sheets
+const degreeProperties = new Set(Array.from(timelineProperties.keys()).filter((property) =>
+  property.includes('rotation') || property.includes('azimuth') || property.includes('elevation')
+));
+
+// Register tool: render_variations
+mcpServer.registerTool(
+  'render_variations',
+  {
+    title: 'Render Variations',
+    description: 'Render a contact sheet of variations of one scene property to compare options side by side, ' +
+      'e.g., the key light azimuth every 45° or five model colors. Each value is applied and captured in turn, ' +
+      'then the original scene is restored and the frames are returned as one labeled grid image. ' +
+      `Properties: ${timelinePropertyNames.join(', ')}.`,
+    inputSchema: {
+      property: z.enum(timelinePropertyNames).describe('Scene property path to vary, e.g., "keyLight.position.azimuth" or "model.color"'),
+      values: z.array(z.union([z.number(), z.string()])).min(2).max(MAX_VARIATIONS).describe(
+        'Values to render: numbers, colors (hex codes, CSS colors or Apple crayon color names) for color properties, ' +
+        'or numbers or direction names for azimuth properties'
+      ),
+      columns: z.number().int().min(1).max(8).optional().describe('Number of grid columns (defaults to a roughly square grid)'),
+      cellWidth: z.number().int().min(64).max(512).optional().describe('Width of each frame in pixels (defaults to 256)')
+    }
+  },
+  async ({ property, values, columns, cellWidth = 256 }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const parsedValues = values.map((value) => parseTimelineValue(property, value));
+    const invalidValues = values.filter((_, index) => parsedValues[index] === null);
+    if (invalidValues.length > 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Invalid value(s) for ${property}: ${invalidValues.map((value) => JSON.stringify(value)).join(', ')}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    let originalState;
+    try {
+      ({ state: originalState } = await getState(sessionId));
+    } catch (error) {
+      return createCommandErrorResponse(error.message);
+    }
+
+    const frames = [];
+    let failure = null;
+    for (const value of parsedValues) {
+      for (const command of buildPropertyCommands(originalState, new Map([[property, value]]))) {
+        const commandResult = await routeToCurrentSession(command);
+        if (!commandResult.success) {
+          failure = `Command not applied: ${commandResult.error}`;
+          break;
+        }
+      }
+      if (failure) {
+        break;
+      }
+      try {
+        const { data, mimeType } = await captureScreenshotFromBrowser(sessionId, { width: cellWidth, format: 'png' });
+        if (mimeType !== 'image/png') {
+          throw new Error(`expected a PNG frame, but the browser returned ${mimeType}`);
+        }
+        frames.push(decodePng(Buffer.from(data, 'base64')));
+      } catch (error) {
+        failure = `Error capturing frame: ${error.message}`;
+        break;
+      }
+    }
+
+    // Restore the commands that carry the varied property from the original state
+    const { commandType } = timelineProperties.get(property);
+    const restoreErrors = [];
+    for (const command of buildSceneStateCommands(originalState).filter((command) => command.type === commandType)) {
+      const commandResult = await routeToCurrentSession(command);
+      if (!commandResult.success) {
+        restoreErrors.push(`${command.type}: ${commandResult.error}`);
+      }
+    }
+    const restoreNote = restoreErrors.length > 0
+      ? ` Warning: the original scene could not be fully restored (${restoreErrors.join('; ')}).`
+      : '';
+
+    if (failure) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${failure}.${restoreNote}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const labels = values.map((value) => (degreeProperties.has(property) && typeof value === 'number' ? `${value}°` : String(value)));
+    const sheet = composeContactSheet(frames, labels, {
+      title: property,
+      columns: columns ?? Math.ceil(Math.sqrt(frames.length)),
+      cellWidth
+    });
+
+    return {
+      content: [
+        {
+          type: 'image',
+          data: encodePng(sheet).toString('base64'),
+          mimeType: 'image/png'
+        },
+        {
+          type: 'text',
+          text: `Contact sheet of ${frames.length} variations of ${property}: ${labels.join(', ')}.` +
+            (restoreNote || ' The original scene was restored.')
+        }
+      ]
+    };
+  }
+);
+
+// Scene state resources
+// The "current" segment refers to the scene of the session reading the resource
+const sceneResources = [
+  {
+    name: 'scene-state',
+    uri: 'scene://current/state',
+    title: 'Scene State',
+    description: 'Full scene state: model, background, key and fill lights, and camera',
+    select: (state) => state
+  },
+  {
+    name: 'scene-model',
+    uri: 'scene://current/model',
+    title: 'Model',
+    description: 'Model color, scale and rotation',
+    select: (state) => state.model
+  },
+  {
+    name: 'scene-background',
+    uri: 'scene://current/background',
+    title: 'Background',
+    description: 'Scene background color',
+    select: (state) => ({ color: state.background })
+  },
+  {
+    name: 'scene-key-light',
+    uri: 'scene://current/lights/key',
+    title: 'Key Light',
+    description: 'Key light intensity, color, spherical position and size',
+    select: (state) => state.keyLight
+  },
+  {
+    name: 'scene-fill-light',
+    uri: 'scene://current/lights/fill',
+    title: 'Fill Light',
+    description: 'Fill light intensity, color, spherical position and size',
+    select: (state) => state.fillLight
+  },
+  {
+    name: 'scene-camera',
+    uri: 'scene://current/camera',
+    title: 'Camera',
+    description: 'Camera distance and field of view',
+    select: (state) => state.camera
+  }
+];
+
+// Store resource subscriptions per session
+// Map<sessionId, Set<uri>>
+const resourceSubscriptions = new Map();
+
+for (const resource of sceneResources) {
+  mcpServer.registerResource(
+    resource.name,
+    resource.uri,
+    {
+      title: resource.title,
+      description: resource.description,
+      mimeType: 'application/json'
+    },
+    async (uri) => {
+      const sessionId = getCurrentSessionId();
+      if (!sessionId) {
+        throw new Error('No active session found');
+      }
+
+      const { state } = await getState(sessionId);
+      return {
+        contents: [
+          {
+            uri: uri.href,
+            mimeType: 'application/json',
+            text: JSON.stringify(resource.select(state) ?? null, null, 2)
+          }
+        ]
+      };
+    }
+  );
+}
+
+mcpServer.server.registerCapabilities({
+  resources: {
+    subscribe: true
+  }
+});
+
+mcpServer.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  const sessionId = getCurrentSessionId();
+  if (!sessionId) {
+    throw new Error('No active session found');
+  }
+  if (!sceneResources.some((resource) => resource.uri === request.params.uri)) {
+    throw new Error(`Unknown resource: ${request.params.uri}`);
+  }
+
+  let subscriptions = resourceSubscriptions.get(sessionId);
+  if (!subscriptions) {
+    subscriptions = new Set();
+    resourceSubscriptions.set(sessionId, subscriptions);
+  }
+  subscriptions.add(request.params.uri);
+  console.error(`Session ${sessionId} subscribed to ${request.params.uri}`);
+  return {};
+});
+
+mcpServer.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  const sessionId = getCurrentSessionId();
+  if (sessionId) {
+    resourceSubscriptions.get(sessionId)?.delete(request.params.uri);
+  }
+  return {};
+});
+
+// Notify a session that a resource changed
+// In HTTP mode each session has its own transport, so the notification is sent on it directly
+async function sendResourceUpdated(sessionId, uri) {
+  try {
+    if (isStdioMode) {
+      await mcpServer.server.sendResourceUpdated({ uri });
+    } else if (transports[sessionId]) {
+      await transports[sessionId].send({
+        jsonrpc: '2.0',
+        method: 'notifications/resources/updated',
+        params: { uri }
+      });
+    }
+  } catch (error) {
+    console.error(`Failed to send resource update for ${uri} (session ${sessionId}):`, error);
+  }
+}
+
+// Notify subscribers of every scene resource whose content changed with a state push
+function notifySceneResourceSubscribers(sessionId, previousState, state) {
+  const subscriptions = resourceSubscriptions.get(sessionId);
+  if (!subscriptions || subscriptions.size === 0) {
+    return;
+  }
+
+  for (const resource of sceneResources) {
+    if (!subscriptions.has(resource.uri)) {
+      continue;
+    }
+    const before = previousState ? JSON.stringify(resource.select(previousState)) : undefined;
+    const after = JSON.stringify(resource.select(state));
+    if (before !== after) {
+      sendResourceUpdated(sessionId, resource.uri);
+    }
+  }
+}
+
+// Helper function to get browser connection URL
+async function getBrowserConnectionUrl() {
+  // In STDIO mode, use the unique STDIO session ID generated at startup
+  // In HTTP mode, get session ID from context
+  let sessionId;
+  if (isStdioMode) {
+    sessionId = STDIO_SESSION_ID;
+  } else {
+    sessionId = sessionContext.getStore();
+  }
+  
+  if (!sessionId) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Error: No active session found. Please ensure the MCP connection is properly initialized.'
+        }
+      ],
+      isError: true
+    };
+  }
+
+  const connectionUrl = `${BROWSER_URL}?sessionId=${sessionId}`;
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `To connect your browser to the 3D visualization app, open this URL:\n\n${connectionUrl}\n\nCopy and paste this URL into your web browser to begin interacting with the 3D scene.`
+      }
+    ]
+  };
+}
+
+// Register tool: get_browser_connection_url
+mcpServer.registerTool(
+  'get_browser_connection_url',
+  {
+    title: 'Get Browser Connection URL',
+    description: 'Get the URL to open in your browser to connect the 3D visualization app. Use this when users ask how to connect or how to open the 3D app.',
+    inputSchema: {}
+  },
+  getBrowserConnectionUrl
+);
+
+// Register tool: hello_3d_app
+mcpServer.registerTool(
+  'hello_3d_app',
+  {
+    title: 'Hello 3D App',
+    description: 'Get the URL to open the 3D visualization app in your browser. Use this when users want to launch, open, or connect to the 3D app.',
+    inputSchema: {}
+  },
+  getBrowserConnectionUrl
+);
+
+// Register tool: get_3d_app
+mcpServer.registerTool(
+  'get_3d_app',
+  {
+    title: 'Get 3D App',
+    description: 'Get the URL to open the 3D visualization app in your browser. Use this when users ask for the 3D app URL or how to access the 3D visualization.',
+    inputSchema: {}
+  },
+  getBrowserConnectionUrl
+);
+
+// Register tool: open_3d_app
+mcpServer.registerTool(
+  'open_3d_app',
+  {
+    title: 'Open 3D App',
+    description: 'Get the URL to open the 3D visualization app in your browser. Use this when users want to open or launch the 3D visualization.',
+    inputSchema: {}
+  },
+  getBrowserConnectionUrl
+);
+
+// Register tool: connect_3d_app
+mcpServer.registerTool(
   'connect_3d_app',
   {
     title: 'Connect 3D App',
@@ -2942,6 +6630,16 @@ const isStdioMode = !process.stdin.isTTY;
 // Map to store transports by session ID (for HTTP mode)
 const transports = {};
 
+// Release per-session server state when an MCP session closes
+function cleanupClosedSession(sessionId) {
+  sessionHistory.delete(sessionId);
+  resourceSubscriptions.delete(sessionId);
+  stopTurntable(sessionId);
+  pauseTimeline(sessionTimelines.get(sessionId));
+  sessionTimelines.delete(sessionId);
+  console.error(`Cleared history, subscriptions, turntable and timeline for session: ${sessionId}`);
+}
+
 // For STDIO mode, generate a unique session ID for each process instance
 // This ensures each Claude Desktop user gets their own unique session
 let STDIO_SESSION_ID = null;
@@ -3018,6 +6716,9 @@ app.post('/mcp', async (req, res) => {
             console.error(`MCP session closed: ${sid}`);
             delete transports[sid];
           }
+          if (sid) {
+            cleanupClosedSession(sid);
+          }
         };
 
         await mcpServer.connect(transport);
@@ -3052,6 +6753,9 @@ app.post('/mcp', async (req, res) => {
           console.error(`MCP session closed: ${sid}`);
           delete transports[sid];
         }
+        if (sid) {
+          cleanupClosedSession(sid);
+        }
       };
 
       // Connect transport to MCP server
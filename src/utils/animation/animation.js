@@ -0,0 +1,65 @@
+// Animation utility functions
+// Easing curves and interpolation used to stream smooth transitions to the browser
+
+import { interpolateColor } from '../color/color.js';
+
+/**
+ * Easing functions - map linear progress t (0-1) to eased progress (0-1)
+ */
+const easingFunctions = new Map()
+    .set('linear', (t) => t)
+    .set('ease-in', (t) => t * t * t)
+    .set('ease-out', (t) => 1 - Math.pow(1 - t, 3))
+    .set('ease-in-out', (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2));
+
+// Interpolate between two numbers
+function interpolateNumber(from, to, t) {
+    return from + (to - from) * t;
+}
+
+// Interpolate between two angles in degrees, taking the shortest path around the circle
+// The result is not normalized, so callers can wrap it to their own range
+function interpolateAngle(from, to, t) {
+    const delta = ((((to - from) % 360) + 540) % 360) - 180;
+    return from + delta * t;
+}
+
+/**
+ * Interpolators by value kind
+ * 'number' - linear, 'angle' - shortest path in degrees, 'azimuth' - shortest path wrapped to [0, 360),
+ * 'color' - hex colors through HSL with shortest hue path
+ */
+const interpolators = new Map()
+    .set('number', interpolateNumber)
+    .set('angle', interpolateAngle)
+    .set('azimuth', (from, to, t) => ((interpolateAngle(from, to, t) % 360) + 360) % 360)
+    .set('color', interpolateColor);
+
+// Interpolate a single value according to its kind (see interpolators)
+function interpolateValue(kind, from, to, t) {
+    return interpolators.get(kind)(from, to, t);
+}
+
+/**
+ * Interpolate each field of a value object according to its kind
+ * @param {object} from - Start values by field name
+ * @param {object} to - End values by field name
+ * @param {object} kinds - Interpolator kind by field name (see interpolators)
+ * @param {number} t - Eased progress (0-1)
+ * @returns {object} Interpolated values by field name
+ */
+function interpolateFields(from, to, kinds, t) {
+    const result = {};
+    for (const [field, kind] of Object.entries(kinds)) {
+        result[field] = interpolateValue(kind, from[field], to[field], t);
+    }
+    return result;
+}
+
+export {
+    easingFunctions,
+    interpolateNumber,
+    interpolateAngle,
+    interpolateValue,
+    interpolateFields
+};
@@ -179,8 +179,781 @@ const colorComplements = new Map([
 // Note: Functions that returned THREE.Color objects have been removed
 // The server only needs hex strings via appleCrayonColorsHexStrings
 
+/**
+ * Convert a hex color string to RGB components
+ * @param {string} hex - Hex color code (e.g., "#ff0000")
+ * @returns {{r: number, g: number, b: number}} Components in the range 0-255
+ */
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return {
+        r: (value >> 16) & 0xff,
+        g: (value >> 8) & 0xff,
+        b: value & 0xff
+    };
+}
+
+/**
+ * Convert RGB components to a lowercase hex color string
+ * @param {{r: number, g: number, b: number}} rgb - Components in the range 0-255 (clamped and rounded)
+ * @returns {string} Hex color code (e.g., "#ff0000")
+ */
+function rgbToHex({ r, g, b }) {
+    const toHex = (component) => Math.round(Math.min(255, Math.max(0, component))).toString(16).padStart(2, '0');
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+}
+
+/**
+ * Convert RGB components to HSL
+ * @param {{r: number, g: number, b: number}} rgb - Components in the range 0-255
+ * @returns {{h: number, s: number, l: number}} Hue in degrees (0-360), saturation and lightness (0-1)
+ */
+function rgbToHsl({ r, g, b }) {
+    const rn = r / 255;
+    const gn = g / 255;
+    const bn = b / 255;
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    const d = max - min;
+
+    if (d === 0) {
+        return { h: 0, s: 0, l };
+    }
+
+    const s = d / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === rn) {
+        h = ((gn - bn) / d) % 6;
+    } else if (max === gn) {
+        h = (bn - rn) / d + 2;
+    } else {
+        h = (rn - gn) / d + 4;
+    }
+    return { h: (h * 60 + 360) % 360, s, l };
+}
+
+/**
+ * Convert HSL to RGB components
+ * @param {{h: number, s: number, l: number}} hsl - Hue in degrees, saturation and lightness (0-1)
+ * @returns {{r: number, g: number, b: number}} Components in the range 0-255
+ */
+function hslToRgb({ h, s, l }) {
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const hp = (((h % 360) + 360) % 360) / 60;
+    const x = c * (1 - Math.abs((hp % 2) - 1));
+    const m = l - c / 2;
+    let rgb;
+    if (hp < 1) {
+        rgb = [c, x, 0];
+    } else if (hp < 2) {
+        rgb = [x, c, 0];
+    } else if (hp < 3) {
+        rgb = [0, c, x];
+    } else if (hp < 4) {
+        rgb = [0, x, c];
+    } else if (hp < 5) {
+        rgb = [x, 0, c];
+    } else {
+        rgb = [c, 0, x];
+    }
+    return {
+        r: (rgb[0] + m) * 255,
+        g: (rgb[1] + m) * 255,
+        b: (rgb[2] + m) * 255
+    };
+}
+
+/**
+ * Interpolate between two colors in HSL space, taking the shortest path around the hue circle
+ * Grays have no meaningful hue, so they borrow the hue of the other color
+ * @param {string} fromHex - Start color hex code
+ * @param {string} toHex - End color hex code
+ * @param {number} t - Interpolation factor (0-1)
+ * @returns {string} Interpolated hex color code
+ */
+function interpolateColor(fromHex, toHex, t) {
+    const from = rgbToHsl(hexToRgb(fromHex));
+    const to = rgbToHsl(hexToRgb(toHex));
+    const fromHue = from.s === 0 ? to.h : from.h;
+    const toHue = to.s === 0 ? fromHue : to.h;
+    const hueDelta = ((toHue - fromHue + 540) % 360) - 180;
+
+    return rgbToHex(hslToRgb({
+        h: fromHue + hueDelta * t,
+        s: from.s + (to.s - from.s) * t,
+        l: from.l + (to.l - from.l) * t
+    }));
+}
+
+/**
+ * CSS named colors (CSS Color Module Level 4)
+ * Note: some names also exist as Apple crayon colors with different values (e.g., "lime", "magenta");
+ * callers that accept both should check the crayon names first
+ */
+const cssNamedColors = new Map([
+    ['aliceblue', '#f0f8ff'], ['antiquewhite', '#faebd7'], ['aqua', '#00ffff'], ['aquamarine', '#7fffd4'],
+    ['azure', '#f0ffff'], ['beige', '#f5f5dc'], ['bisque', '#ffe4c4'], ['black', '#000000'],
+    ['blanchedalmond', '#ffebcd'], ['blue', '#0000ff'], ['blueviolet', '#8a2be2'], ['brown', '#a52a2a'],
+    ['burlywood', '#deb887'], ['cadetblue', '#5f9ea0'], ['chartreuse', '#7fff00'], ['chocolate', '#d2691e'],
+    ['coral', '#ff7f50'], ['cornflowerblue', '#6495ed'], ['cornsilk', '#fff8dc'], ['crimson', '#dc143c'],
+    ['cyan', '#00ffff'], ['darkblue', '#00008b'], ['darkcyan', '#008b8b'], ['darkgoldenrod', '#b8860b'],
+    ['darkgray', '#a9a9a9'], ['darkgreen', '#006400'], ['darkgrey', '#a9a9a9'], ['darkkhaki', '#bdb76b'],
+    ['darkmagenta', '#8b008b'], ['darkolivegreen', '#556b2f'], ['darkorange', '#ff8c00'], ['darkorchid', '#9932cc'],
+    ['darkred', '#8b0000'], ['darksalmon', '#e9967a'], ['darkseagreen', '#8fbc8f'], ['darkslateblue', '#483d8b'],
+    ['darkslategray', '#2f4f4f'], ['darkslategrey', '#2f4f4f'], ['darkturquoise', '#00ced1'], ['darkviolet', '#9400d3'],
+    ['deeppink', '#ff1493'], ['deepskyblue', '#00bfff'], ['dimgray', '#696969'], ['dimgrey', '#696969'],
+    ['dodgerblue', '#1e90ff'], ['firebrick', '#b22222'], ['floralwhite', '#fffaf0'], ['forestgreen', '#228b22'],
+    ['fuchsia', '#ff00ff'], ['gainsboro', '#dcdcdc'], ['ghostwhite', '#f8f8ff'], ['gold', '#ffd700'],
+    ['goldenrod', '#daa520'], ['gray', '#808080'], ['green', '#008000'], ['greenyellow', '#adff2f'],
+    ['grey', '#808080'], ['honeydew', '#f0fff0'], ['hotpink', '#ff69b4'], ['indianred', '#cd5c5c'],
+    ['indigo', '#4b0082'], ['ivory', '#fffff0'], ['khaki', '#f0e68c'], ['lavender', '#e6e6fa'],
+    ['lavenderblush', '#fff0f5'], ['lawngreen', '#7cfc00'], ['lemonchiffon', '#fffacd'], ['lightblue', '#add8e6'],
+    ['lightcoral', '#f08080'], ['lightcyan', '#e0ffff'], ['lightgoldenrodyellow', '#fafad2'], ['lightgray', '#d3d3d3'],
+    ['lightgreen', '#90ee90'], ['lightgrey', '#d3d3d3'], ['lightpink', '#ffb6c1'], ['lightsalmon', '#ffa07a'],
+    ['lightseagreen', '#20b2aa'], ['lightskyblue', '#87cefa'], ['lightslategray', '#778899'], ['lightslategrey', '#778899'],
+    ['lightsteelblue', '#b0c4de'], ['lightyellow', '#ffffe0'], ['lime', '#00ff00'], ['limegreen', '#32cd32'],
+    ['linen', '#faf0e6'], ['magenta', '#ff00ff'], ['maroon', '#800000'], ['mediumaquamarine', '#66cdaa'],
+    ['mediumblue', '#0000cd'], ['mediumorchid', '#ba55d3'], ['mediumpurple', '#9370db'], ['mediumseagreen', '#3cb371'],
+    ['mediumslateblue', '#7b68ee'], ['mediumspringgreen', '#00fa9a'], ['mediumturquoise', '#48d1cc'], ['mediumvioletred', '#c71585'],
+    ['midnightblue', '#191970'], ['mintcream', '#f5fffa'], ['mistyrose', '#ffe4e1'], ['moccasin', '#ffe4b5'],
+    ['navajowhite', '#ffdead'], ['navy', '#000080'], ['oldlace', '#fdf5e6'], ['olive', '#808000'],
+    ['olivedrab', '#6b8e23'], ['orange', '#ffa500'], ['orangered', '#ff4500'], ['orchid', '#da70d6'],
+    ['palegoldenrod', '#eee8aa'], ['palegreen', '#98fb98'], ['paleturquoise', '#afeeee'], ['palevioletred', '#db7093'],
+    ['papayawhip', '#ffefd5'], ['peachpuff', '#ffdab9'], ['peru', '#cd853f'], ['pink', '#ffc0cb'],
+    ['plum', '#dda0dd'], ['powderblue', '#b0e0e6'], ['purple', '#800080'], ['rebeccapurple', '#663399'],
+    ['red', '#ff0000'], ['rosybrown', '#bc8f8f'], ['royalblue', '#4169e1'], ['saddlebrown', '#8b4513'],
+    ['salmon', '#fa8072'], ['sandybrown', '#f4a460'], ['seagreen', '#2e8b57'], ['seashell', '#fff5ee'],
+    ['sienna', '#a0522d'], ['silver', '#c0c0c0'], ['skyblue', '#87ceeb'], ['slateblue', '#6a5acd'],
+    ['slategray', '#708090'], ['slategrey', '#708090'], ['snow', '#fffafa'], ['springgreen', '#00ff7f'],
+    ['steelblue', '#4682b4'], ['tan', '#d2b48c'], ['teal', '#008080'], ['thistle', '#d8bfd8'],
+    ['tomato', '#ff6347'], ['turquoise', '#40e0d0'], ['violet', '#ee82ee'], ['wheat', '#f5deb3'],
+    ['white', '#ffffff'], ['whitesmoke', '#f5f5f5'], ['yellow', '#ffff00'], ['yellowgreen', '#9acd32']
+]);
+
+// Parse a CSS number or percentage; percentages are scaled so 100% = percentScale
+// Returns NaN if the token is not a number
+function parseCssNumber(token, percentScale) {
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/i.exec(token);
+    if (!match) {
+        return NaN;
+    }
+    const value = parseFloat(match[1]);
+    return match[2] ? value / 100 * percentScale : value;
+}
+
+// Parse a CSS hue (unitless degrees, deg, rad, grad or turn) to degrees
+// Returns NaN if the token is not an angle
+function parseCssHue(token) {
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/i.exec(token);
+    if (!match) {
+        return NaN;
+    }
+    const value = parseFloat(match[1]);
+    switch ((match[2] || 'deg').toLowerCase()) {
+        case 'rad': return value * 180 / Math.PI;
+        case 'grad': return value * 0.9;
+        case 'turn': return value * 360;
+        default: return value;
+    }
+}
+
+// Convert OKLab to linear sRGB channels (unclipped, so out-of-gamut colors fall outside 0-1)
+function oklabToLinearSrgb(L, a, b) {
+    const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+}
+
+// Convert OKLCH to 8-bit sRGB components (out-of-gamut colors are clipped)
+function oklchToRgb(L, C, h) {
+    const radians = h * Math.PI / 180;
+    const linear = oklabToLinearSrgb(L, C * Math.cos(radians), C * Math.sin(radians));
+    const [r, g, bl] = linear.map((channel) => linearToSrgb(Math.min(1, Math.max(0, channel))));
+    return { r, g, b: bl };
+}
+
+// Convert HWB (hue in degrees, whiteness and blackness 0-1) to RGB components
+function hwbToRgb(h, w, bk) {
+    if (w + bk >= 1) {
+        const gray = w / (w + bk) * 255;
+        return { r: gray, g: gray, b: gray };
+    }
+    const pure = hslToRgb({ h, s: 1, l: 0.5 });
+    const scale = (component) => component * (1 - w - bk) + w * 255;
+    return { r: scale(pure.r), g: scale(pure.g), b: scale(pure.b) };
+}
+
+// Color functions: expected argument count and conversion of the parsed arguments to RGB
+// Each argument parser returns NaN for invalid input
+const cssColorFunctions = new Map()
+    .set('rgb', {
+        syntax: 'rgb(R G B) with 0-255 numbers or percentages',
+        parse: ([r, g, b]) => [parseCssNumber(r, 255), parseCssNumber(g, 255), parseCssNumber(b, 255)],
+        toRgb: ([r, g, b]) => ({ r, g, b })
+    })
+    .set('hsl', {
+        syntax: 'hsl(H S% L%) with a hue angle and percentages',
+        parse: ([h, s, l]) => [parseCssHue(h), parseCssNumber(s, 1), parseCssNumber(l, 1)],
+        toRgb: ([h, s, l]) => hslToRgb({ h, s: Math.min(1, Math.max(0, s)), l: Math.min(1, Math.max(0, l)) })
+    })
+    .set('hwb', {
+        syntax: 'hwb(H W% B%) with a hue angle and percentages',
+        parse: ([h, w, b]) => [parseCssHue(h), parseCssNumber(w, 1), parseCssNumber(b, 1)],
+        toRgb: ([h, w, b]) => hwbToRgb(h, Math.min(1, Math.max(0, w)), Math.min(1, Math.max(0, b)))
+    })
+    .set('oklch', {
+        syntax: 'oklch(L C H) with lightness 0-1 (or %), chroma 0-0.4 (or %) and a hue angle',
+        parse: ([l, c, h]) => [parseCssNumber(l, 1), parseCssNumber(c, 0.4), parseCssHue(h)],
+        toRgb: ([l, c, h]) => oklchToRgb(Math.min(1, Math.max(0, l)), Math.max(0, c), h)
+    });
+cssColorFunctions.set('rgba', cssColorFunctions.get('rgb')).set('hsla', cssColorFunctions.get('hsl'));
+
+/**
+ * Parse a CSS color string to a hex code
+ * Accepts #rgb, #rgba, #rrggbb, #rrggbbaa, CSS named colors and rgb()/rgba(), hsl()/hsla(), hwb() and oklch()
+ * functions in comma or space syntax. Alpha is accepted but ignored, since scene colors are opaque.
+ * @param {string} input - CSS color, e.g., "#f80", "rebeccapurple", "rgb(255 128 0)", "oklch(70% 0.15 50)"
+ * @returns {{hex: string}|{error: string}} Lowercase hex code, or a description of what is wrong
+ */
+function parseCssColor(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+        return { error: 'Color is empty' };
+    }
+    const value = input.trim().toLowerCase();
+
+    if (value.startsWith('#')) {
+        const digits = value.slice(1);
+        if (!/^[0-9a-f]+$/.test(digits) || ![3, 4, 6, 8].includes(digits.length)) {
+            return { error: `"${input}" is not a valid hex color; use #rgb or #rrggbb (optionally with alpha)` };
+        }
+        const expanded = digits.length <= 4 ? Array.from(digits, (digit) => digit + digit).join('') : digits;
+        return { hex: `#${expanded.slice(0, 6)}` };
+    }
+
+    if (cssNamedColors.has(value)) {
+        return { hex: cssNamedColors.get(value) };
+    }
+
+    const functionMatch = /^([a-z]+)\(\s*(.*?)\s*\)$/.exec(value);
+    if (!functionMatch) {
+        return { error: `"${input}" is not a recognized color name or color format` };
+    }
+    const [, name, body] = functionMatch;
+    const colorFunction = cssColorFunctions.get(name);
+    if (!colorFunction) {
+        return { error: `Unsupported color function "${name}()"; use rgb(), hsl(), hwb() or oklch()` };
+    }
+
+    // Accept "a, b, c[, alpha]" and "a b c[ / alpha]"; alpha is checked but not used
+    const segments = body.split('/');
+    if (segments.length > 2) {
+        return { error: `"${input}" has more than one "/": ${colorFunction.syntax}` };
+    }
+    const [channels, alpha] = segments;
+    const commaSyntax = channels.includes(',');
+    const args = commaSyntax
+        ? channels.split(',').map((arg) => arg.trim()).filter(Boolean)
+        : channels.trim().split(/\s+/);
+    if (args.length !== 3 && !(commaSyntax && alpha === undefined && args.length === 4)) {
+        return { error: `"${input}" needs three values: ${colorFunction.syntax}` };
+    }
+    const alphaValue = alpha === undefined ? args[3] : alpha.trim();
+    if (alphaValue !== undefined && !/^(\d+(\.\d*)?|\.\d+)%?$/.test(alphaValue)) {
+        return { error: `"${input}" has an invalid alpha value; use a number from 0 to 1 or a percentage` };
+    }
+    const parsed = colorFunction.parse(args.slice(0, 3));
+    if (parsed.some((number) => Number.isNaN(number))) {
+        return { error: `"${input}" has an invalid value: ${colorFunction.syntax}` };
+    }
+    return { hex: rgbToHex(colorFunction.toRgb(parsed)) };
+}
+
+// Convert an 8-bit sRGB component to linear light (0-1)
+function srgbToLinear(component) {
+    const c = component / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// Convert linear light (0-1) to an 8-bit sRGB component (unrounded)
+function linearToSrgb(c) {
+    return 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+}
+
+/**
+ * Convert RGB components to CIELAB (D65 white point)
+ * @param {{r: number, g: number, b: number}} rgb - Components in the range 0-255
+ * @returns {{L: number, a: number, b: number}} Lightness (0-100) and the a/b opponent axes
+ */
+function rgbToLab({ r, g, b }) {
+    const rl = srgbToLinear(r);
+    const gl = srgbToLinear(g);
+    const bl = srgbToLinear(b);
+
+    // Linear sRGB to XYZ, normalized by the D65 reference white
+    const x = (0.4124564 * rl + 0.3575761 * gl + 0.1804375 * bl) / 0.95047;
+    const y = 0.2126729 * rl + 0.7151522 * gl + 0.0721750 * bl;
+    const z = (0.0193339 * rl + 0.1191920 * gl + 0.9503041 * bl) / 1.08883;
+
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+    return {
+        L: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    };
+}
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors
+ * Around 1 is the smallest difference most people notice; above 10 colors read as clearly different
+ * @param {{L: number, a: number, b: number}} lab1
+ * @param {{L: number, a: number, b: number}} lab2
+ * @returns {number} ΔE2000
+ */
+function deltaE2000(lab1, lab2) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const toDegrees = (radians) => radians * 180 / Math.PI;
+
+    const c1 = Math.hypot(lab1.a, lab1.b);
+    const c2 = Math.hypot(lab2.a, lab2.b);
+    const cMean = (c1 + c2) / 2;
+    const g = 0.5 * (1 - Math.sqrt(cMean ** 7 / (cMean ** 7 + 25 ** 7)));
+
+    const a1 = (1 + g) * lab1.a;
+    const a2 = (1 + g) * lab2.a;
+    const c1p = Math.hypot(a1, lab1.b);
+    const c2p = Math.hypot(a2, lab2.b);
+    const hue = (b, a) => (b === 0 && a === 0 ? 0 : (toDegrees(Math.atan2(b, a)) + 360) % 360);
+    const h1p = hue(lab1.b, a1);
+    const h2p = hue(lab2.b, a2);
+
+    const deltaL = lab2.L - lab1.L;
+    const deltaC = c2p - c1p;
+    let deltaH = 0;
+    if (c1p * c2p !== 0) {
+        deltaH = h2p - h1p;
+        if (deltaH > 180) {
+            deltaH -= 360;
+        } else if (deltaH < -180) {
+            deltaH += 360;
+        }
+    }
+    const deltaBigH = 2 * Math.sqrt(c1p * c2p) * Math.sin(toRadians(deltaH / 2));
+
+    const lMean = (lab1.L + lab2.L) / 2;
+    const cMeanP = (c1p + c2p) / 2;
+    let hMean = h1p + h2p;
+    if (c1p * c2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) {
+            hMean /= 2;
+        } else {
+            hMean = h1p + h2p < 360 ? (hMean + 360) / 2 : (hMean - 360) / 2;
+        }
+    }
+
+    const t = 1 -
+        0.17 * Math.cos(toRadians(hMean - 30)) +
+        0.24 * Math.cos(toRadians(2 * hMean)) +
+        0.32 * Math.cos(toRadians(3 * hMean + 6)) -
+        0.20 * Math.cos(toRadians(4 * hMean - 63));
+    const deltaTheta = 30 * Math.exp(-(((hMean - 275) / 25) ** 2));
+    const rc = 2 * Math.sqrt(cMeanP ** 7 / (cMeanP ** 7 + 25 ** 7));
+    const sl = 1 + (0.015 * (lMean - 50) ** 2) / Math.sqrt(20 + (lMean - 50) ** 2);
+    const sc = 1 + 0.045 * cMeanP;
+    const sh = 1 + 0.015 * cMeanP * t;
+    const rt = -Math.sin(toRadians(2 * deltaTheta)) * rc;
+
+    return Math.sqrt(
+        (deltaL / sl) ** 2 +
+        (deltaC / sc) ** 2 +
+        (deltaBigH / sh) ** 2 +
+        rt * (deltaC / sc) * (deltaBigH / sh)
+    );
+}
+
+// CIELAB values of the crayon colors, computed on first use
+let crayonLabs = null;
+
+/**
+ * Find the Apple crayon color perceptually closest to a hex color (smallest CIEDE2000 difference)
+ * @param {string} hex - Hex color code
+ * @returns {{name: string, hex: string, deltaE: number}} Closest crayon name, its hex code and ΔE2000
+ */
+function findNearestCrayonColor(hex) {
+    if (!crayonLabs) {
+        crayonLabs = Array.from(appleCrayonColorsHexStrings, ([name, crayonHex]) => ({
+            name,
+            hex: crayonHex.toLowerCase(),
+            lab: rgbToLab(hexToRgb(crayonHex))
+        }));
+    }
+    const target = rgbToLab(hexToRgb(hex));
+    let nearest = null;
+    for (const crayon of crayonLabs) {
+        const deltaE = deltaE2000(target, crayon.lab);
+        if (!nearest || deltaE < nearest.deltaE) {
+            nearest = { name: crayon.name, hex: crayon.hex, deltaE };
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Format a hex color with its nearest crayon name, e.g., "#fe2200 (≈ maraschino, ΔE 1.2)"
+ * @param {string} hex - Hex color code
+ * @returns {string}
+ */
+function formatColorWithName(hex) {
+    const { name, deltaE } = findNearestCrayonColor(hex);
+    return `${hex} (≈ ${name}, ΔE ${deltaE.toFixed(1)})`;
+}
+
+/**
+ * Name the hue family of a color ('red', 'orange', 'yellow', 'green', 'cyan', 'blue', 'purple' or 'pink')
+ * @param {string} hex - Hex color code
+ * @returns {string|null} Hue family, or null for grays, near-black and near-white colors
+ */
+function hueFamilyName(hex) {
+    const { h, s, l } = rgbToHsl(hexToRgb(hex));
+    if (s < 0.15 || l < 0.08 || l > 0.95) {
+        return null;
+    }
+    if (h < 15 || h >= 345) {
+        return 'red';
+    }
+    if (h < 45) {
+        return 'orange';
+    }
+    if (h < 70) {
+        return 'yellow';
+    }
+    if (h < 160) {
+        return 'green';
+    }
+    if (h < 190) {
+        return 'cyan';
+    }
+    if (h < 250) {
+        return 'blue';
+    }
+    if (h < 290) {
+        return 'purple';
+    }
+    return 'pink';
+}
+
+/**
+ * Describe a color in words: the nearest crayon name, joined with its hue family when that adds information
+ * e.g., "#ff2101" → "maraschino-red", "#000000" → "licorice"
+ * @param {string} hex - Hex color code
+ * @returns {string}
+ */
+function describeColor(hex) {
+    const { name } = findNearestCrayonColor(hex);
+    const family = hueFamilyName(hex);
+    return family && !name.includes(family) ? `${name}-${family}` : name;
+}
+
+/**
+ * Named color temperature presets in Kelvin, using the values common on set and in lighting gels
+ */
+const colorTemperaturePresets = new Map()
+    .set('candle', 1900)
+    .set('sunrise', 2500)
+    .set('household', 2700)
+    .set('tungsten', 3200)
+    .set('fluorescent', 4000)
+    .set('daylight', 5600)
+    .set('overcast', 6500)
+    .set('shade', 7500)
+    .set('blue sky', 10000);
+
+// Range of the Planckian locus approximation used below (Kang et al., 2002)
+const MIN_COLOR_TEMPERATURE = 1667;
+const MAX_COLOR_TEMPERATURE = 25000;
+
+// CIE 1931 xy chromaticity of a blackbody radiator at the given temperature
+function blackbodyChromaticity(kelvin) {
+    const t = Math.min(MAX_COLOR_TEMPERATURE, Math.max(MIN_COLOR_TEMPERATURE, kelvin));
+    const x = t <= 4000
+        ? -0.2661239e9 / t ** 3 - 0.2343589e6 / t ** 2 + 0.8776956e3 / t + 0.179910
+        : -3.0258469e9 / t ** 3 + 2.1070379e6 / t ** 2 + 0.2226347e3 / t + 0.240390;
+    let y;
+    if (t <= 2222) {
+        y = -1.1063814 * x ** 3 - 1.34811020 * x ** 2 + 2.18555832 * x - 0.20219683;
+    } else if (t <= 4000) {
+        y = -0.9549476 * x ** 3 - 1.37418593 * x ** 2 + 2.09137015 * x - 0.16748867;
+    } else {
+        y = 3.0817580 * x ** 3 - 5.87338670 * x ** 2 + 3.75112997 * x - 0.37001483;
+    }
+    return { x, y };
+}
+
+// CIE 1960 uv chromaticity of an XYZ color (the space color temperature distances are measured in)
+function xyzToUv(X, Y, Z) {
+    const denominator = X + 15 * Y + 3 * Z;
+    return { u: 4 * X / denominator, v: 6 * Y / denominator };
+}
+
+/**
+ * Convert a color temperature to the sRGB color of a blackbody radiator at full brightness
+ * The brightest channel is scaled to 255, so 6500K is close to white and lower temperatures are warmer
+ * @param {number} kelvin - Color temperature (clamped to 1667-25000K)
+ * @returns {string} Hex color code
+ */
+function kelvinToHex(kelvin) {
+    const { x, y } = blackbodyChromaticity(kelvin);
+    const X = x / y;
+    const Z = (1 - x - y) / y;
+
+    // XYZ to linear sRGB (out-of-gamut channels are clipped)
+    const linear = [
+        3.2404542 * X - 1.5371385 - 0.4985314 * Z,
+        -0.9692660 * X + 1.8760108 + 0.0415560 * Z,
+        0.0556434 * X - 0.2040259 + 1.0572252 * Z
+    ].map((channel) => Math.max(0, channel));
+    const max = Math.max(...linear);
+    const [r, g, b] = linear.map((channel) => linearToSrgb(channel / max));
+    return rgbToHex({ r, g, b });
+}
+
+/**
+ * Estimate the correlated color temperature of a light color
+ * Finds the closest point on the blackbody locus in CIE 1960 uv; colors too far from the locus
+ * (saturated or tinted colors) have no meaningful temperature
+ * @param {string} hex - Hex color code
+ * @param {number} [maxDuv=0.02] - Largest distance from the locus still treated as a white light
+ * @returns {{kelvin: number, duv: number}|null} Temperature rounded to 10K and distance from the locus, or null
+ */
+function estimateColorTemperature(hex, maxDuv = 0.02) {
+    const { r, g, b } = hexToRgb(hex);
+    const rl = srgbToLinear(r);
+    const gl = srgbToLinear(g);
+    const bl = srgbToLinear(b);
+    const X = 0.4124564 * rl + 0.3575761 * gl + 0.1804375 * bl;
+    const Y = 0.2126729 * rl + 0.7151522 * gl + 0.0721750 * bl;
+    const Z = 0.0193339 * rl + 0.1191920 * gl + 0.9503041 * bl;
+    if (Y < 0.01) {
+        return null;
+    }
+    const target = xyzToUv(X, Y, Z);
+    const distanceAt = (kelvin) => {
+        const { x, y } = blackbodyChromaticity(kelvin);
+        const { u, v } = xyzToUv(x / y, 1, (1 - x - y) / y);
+        return Math.hypot(u - target.u, v - target.v);
+    };
+
+    // Coarse scan in mireds (perceptually even steps), then refine between the neighbors of the best step
+    const minMired = 1e6 / MAX_COLOR_TEMPERATURE;
+    const maxMired = 1e6 / MIN_COLOR_TEMPERATURE;
+    let bestMired = minMired;
+    for (let mired = minMired; mired <= maxMired; mired += 5) {
+        if (distanceAt(1e6 / mired) < distanceAt(1e6 / bestMired)) {
+            bestMired = mired;
+        }
+    }
+    let low = Math.max(minMired, bestMired - 5);
+    let high = Math.min(maxMired, bestMired + 5);
+    while (high - low > 0.01) {
+        const third = (high - low) / 3;
+        if (distanceAt(1e6 / (low + third)) < distanceAt(1e6 / (high - third))) {
+            high -= third;
+        } else {
+            low += third;
+        }
+    }
+    const kelvin = 1e6 / ((low + high) / 2);
+    const duv = distanceAt(kelvin);
+    if (duv > maxDuv) {
+        return null;
+    }
+    return { kelvin: Math.round(kelvin / 10) * 10, duv };
+}
+
+/**
+ * Parse a color temperature given as Kelvin (3200, "3200K", "3200 kelvin") or a preset name ("tungsten")
+ * @param {number|string} input
+ * @returns {{kelvin: number, preset?: string}|{error: string}}
+ */
+function parseColorTemperature(input) {
+    if (typeof input === 'number') {
+        return Number.isFinite(input) && input >= MIN_COLOR_TEMPERATURE && input <= MAX_COLOR_TEMPERATURE
+            ? { kelvin: input }
+            : { error: `Color temperature must be between ${MIN_COLOR_TEMPERATURE}K and ${MAX_COLOR_TEMPERATURE}K` };
+    }
+    const text = String(input).toLowerCase().trim();
+    if (colorTemperaturePresets.has(text)) {
+        return { kelvin: colorTemperaturePresets.get(text), preset: text };
+    }
+    const match = /^(\d+(?:\.\d+)?)\s*(?:k|kelvin)?$/.exec(text);
+    if (!match) {
+        const presets = Array.from(colorTemperaturePresets.keys()).join(', ');
+        return { error: `"${input}" is not a color temperature. Use Kelvin (e.g., 3200 or "3200K") or a preset: ${presets}` };
+    }
+    return parseColorTemperature(parseFloat(match[1]));
+}
+
+/**
+ * Name the color temperature preset closest to a temperature, if within 10% of it
+ * @param {number} kelvin
+ * @returns {string|null}
+ */
+function nearestColorTemperaturePreset(kelvin) {
+    let nearest = null;
+    for (const [name, presetKelvin] of colorTemperaturePresets) {
+        const difference = Math.abs(kelvin - presetKelvin) / presetKelvin;
+        if (difference <= 0.1 && (!nearest || difference < nearest.difference)) {
+            nearest = { name, difference };
+        }
+    }
+    return nearest?.name ?? null;
+}
+
+/**
+ * Convert RGB components to OKLCH
+ * @param {{r: number, g: number, b: number}} rgb - Components in the range 0-255
+ * @returns {{L: number, C: number, h: number}} Lightness (0-1), chroma (0 to about 0.32 in sRGB) and hue in degrees
+ */
+function rgbToOklch({ r, g, b }) {
+    const rl = srgbToLinear(r);
+    const gl = srgbToLinear(g);
+    const bl = srgbToLinear(b);
+    const l = Math.cbrt(0.4122214708 * rl + 0.5363325363 * gl + 0.0514459929 * bl);
+    const m = Math.cbrt(0.2119034982 * rl + 0.6806995451 * gl + 0.1073969566 * bl);
+    const s = Math.cbrt(0.0883024619 * rl + 0.2817188376 * gl + 0.6299787005 * bl);
+    const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+    const a = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+    const bb = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+    return {
+        L,
+        C: Math.hypot(a, bb),
+        h: ((Math.atan2(bb, a) * 180 / Math.PI) + 360) % 360
+    };
+}
+
+/**
+ * Convert OKLCH to a hex color, reducing chroma until the color fits in sRGB
+ * Keeps lightness and hue intact, unlike clipping each channel
+ * @param {{L: number, C: number, h: number}} lch
+ * @returns {string} Hex color code
+ */
+function oklchToHex({ L, C, h }) {
+    const lightness = Math.min(1, Math.max(0, L));
+    const radians = h * Math.PI / 180;
+    const inGamut = (chroma) => oklabToLinearSrgb(lightness, chroma * Math.cos(radians), chroma * Math.sin(radians))
+        .every((channel) => channel >= -0.0001 && channel <= 1.0001);
+    let chroma = Math.max(0, C);
+    if (!inGamut(chroma)) {
+        let low = 0;
+        let high = chroma;
+        for (let i = 0; i < 20; i++) {
+            const mid = (low + high) / 2;
+            if (inGamut(mid)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        chroma = low;
+    }
+    return rgbToHex(oklchToRgb(lightness, chroma, h));
+}
+
+// Chroma change for an adjustment amount of 1 (roughly the chroma of a fully saturated sRGB color)
+const CHROMA_ADJUSTMENT_RANGE = 0.25;
+// Below this chroma a color is treated as gray and has no hue to saturate
+const NEUTRAL_CHROMA = 0.01;
+
+// Mired shift for an adjustment amount of 1 (0.5 is about a full CTO or CTB gel)
+const GEL_MIRED_SHIFT = 300;
+const NEUTRAL_MIREDS = 1e6 / 6500;
+
+/**
+ * Filter a color through a warming (positive mireds) or cooling (negative mireds) gel
+ * Scales the linear sRGB channels by the change in blackbody color, so white turns into the color of a
+ * blackbody light at the shifted temperature; the brightest channel is kept at or below full
+ * @param {string} hex - Hex color code
+ * @param {number} miredShift
+ * @returns {string} Hex color code
+ */
+function applyGel(hex, miredShift) {
+    const targetKelvin = 1e6 / Math.max(1e6 / MAX_COLOR_TEMPERATURE, NEUTRAL_MIREDS + miredShift);
+    const linearOf = (color) => Object.values(hexToRgb(color)).map(srgbToLinear);
+    const neutral = linearOf(kelvinToHex(1e6 / NEUTRAL_MIREDS));
+    const target = linearOf(kelvinToHex(targetKelvin));
+    const filtered = linearOf(hex).map((channel, i) => channel * target[i] / neutral[i]);
+    const scale = Math.max(1, ...filtered);
+    const [r, g, b] = filtered.map((channel) => linearToSrgb(channel / scale));
+    return rgbToHex({ r, g, b });
+}
+
+// Apply a change to the OKLCH form of a hex color
+function adjustOklch(hex, change) {
+    return oklchToHex(change(rgbToOklch(hexToRgb(hex))));
+}
+
+/**
+ * Perceptual color adjustments
+ * Each takes the color and an amount (0-1, a fraction of the full range) and returns the adjusted hex color
+ * Lightness and saturation change in OKLCH; warmer and cooler filter the color like an orange or blue gel,
+ * so white becomes the color of a lower or higher color temperature
+ */
+const colorAdjustments = new Map()
+    .set('lighter', (hex, amount) => adjustOklch(hex, (lch) => ({ ...lch, L: lch.L + amount })))
+    .set('darker', (hex, amount) => adjustOklch(hex, (lch) => ({ ...lch, L: lch.L - amount })))
+    .set('more-saturated', (hex, amount) => adjustOklch(hex, (lch) => ({ ...lch, C: lch.C + amount * CHROMA_ADJUSTMENT_RANGE })))
+    .set('less-saturated', (hex, amount) => adjustOklch(hex, (lch) => ({ ...lch, C: Math.max(0, lch.C - amount * CHROMA_ADJUSTMENT_RANGE) })))
+    .set('warmer', (hex, amount) => applyGel(hex, amount * GEL_MIRED_SHIFT))
+    .set('cooler', (hex, amount) => applyGel(hex, -amount * GEL_MIRED_SHIFT));
+
+/**
+ * Apply a perceptual adjustment to a color (see colorAdjustments)
+ * @param {string} hex - Hex color code
+ * @param {string} adjustment - One of the keys of colorAdjustments
+ * @param {number} amount - Strength of the adjustment (0-1; 0.1 is a subtle change, 0.3 a strong one)
+ * @returns {{hex: string}|{error: string}} Adjusted hex color, or an error when the adjustment cannot apply
+ */
+function adjustColor(hex, adjustment, amount) {
+    if (adjustment === 'more-saturated' && rgbToOklch(hexToRgb(hex)).C < NEUTRAL_CHROMA) {
+        return { error: `${hex} is a neutral gray with no hue to saturate` };
+    }
+    return { hex: colorAdjustments.get(adjustment)(hex, amount) };
+}
+
 export {
     appleCrayonColorsHexStrings,
-    colorComplements
+    colorComplements,
+    cssNamedColors,
+    parseCssColor,
+    hexToRgb,
+    rgbToHex,
+    rgbToHsl,
+    hslToRgb,
+    interpolateColor,
+    srgbToLinear,
+    linearToSrgb,
+    rgbToLab,
+    deltaE2000,
+    findNearestCrayonColor,
+    formatColorWithName,
+    hueFamilyName,
+    describeColor,
+    colorTemperaturePresets,
+    kelvinToHex,
+    estimateColorTemperature,
+    parseColorTemperature,
+    nearestColorTemperaturePreset,
+    rgbToOklch,
+    oklchToHex,
+    colorAdjustments,
+    adjustColor
 };
 
@@ -0,0 +1,120 @@
+// Color contrast utility functions
+// WCAG 2 contrast ratio and APCA lightness contrast between a foreground (the model) and a background color
+
+import { hexToRgb, srgbToLinear, rgbToOklch, oklchToHex } from './color.js';
+
+// WCAG 2 non-text contrast minimum for graphical objects (success criterion 1.4.11)
+const WCAG_MIN_RATIO = 3;
+
+// APCA minimum for large solid shapes and bold text
+const APCA_MIN_LC = 45;
+
+/**
+ * WCAG 2 relative luminance of a color
+ * @param {string} hex - Hex color code
+ * @returns {number} Luminance (0-1)
+ */
+function relativeLuminance(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    return 0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b);
+}
+
+/**
+ * WCAG 2 contrast ratio between two colors (order does not matter)
+ * @param {string} hex1
+ * @param {string} hex2
+ * @returns {number} Ratio from 1 (no contrast) to 21 (black on white)
+ */
+function wcagContrastRatio(hex1, hex2) {
+    const l1 = relativeLuminance(hex1);
+    const l2 = relativeLuminance(hex2);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+// APCA screen luminance estimate, with the soft clamp for near-black colors
+function apcaLuminance(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    const y = 0.2126729 * (r / 255) ** 2.4 + 0.7151522 * (g / 255) ** 2.4 + 0.0721750 * (b / 255) ** 2.4;
+    return y < 0.022 ? y + (0.022 - y) ** 1.414 : y;
+}
+
+/**
+ * APCA lightness contrast (Lc) of a foreground on a background (APCA 0.0.98G)
+ * Positive for dark on light, negative for light on dark; the magnitude is what thresholds apply to
+ * @param {string} foregroundHex
+ * @param {string} backgroundHex
+ * @returns {number} Lc, roughly -108 to 106
+ */
+function apcaContrast(foregroundHex, backgroundHex) {
+    const foreground = apcaLuminance(foregroundHex);
+    const background = apcaLuminance(backgroundHex);
+    if (Math.abs(background - foreground) < 0.0005) {
+        return 0;
+    }
+    if (background > foreground) {
+        const sapc = (background ** 0.56 - foreground ** 0.57) * 1.14;
+        return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+    }
+    const sapc = (background ** 0.65 - foreground ** 0.62) * 1.14;
+    return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+}
+
+/**
+ * Measure the contrast of a foreground on a background against WCAG and APCA minimums
+ * @param {string} foregroundHex
+ * @param {string} backgroundHex
+ * @param {object} [thresholds]
+ * @param {number} [thresholds.minRatio] - WCAG 2 minimum ratio (defaults to 3:1)
+ * @param {number} [thresholds.minLc] - APCA minimum |Lc| (defaults to 45)
+ * @returns {{ratio: number, lc: number, passesWcag: boolean, passesApca: boolean}}
+ */
+function measureContrast(foregroundHex, backgroundHex, { minRatio = WCAG_MIN_RATIO, minLc = APCA_MIN_LC } = {}) {
+    const ratio = wcagContrastRatio(foregroundHex, backgroundHex);
+    const lc = apcaContrast(foregroundHex, backgroundHex);
+    return {
+        ratio,
+        lc,
+        passesWcag: ratio >= minRatio,
+        passesApca: Math.abs(lc) >= minLc
+    };
+}
+
+/**
+ * Find the background color closest in OKLCH lightness to the current one that meets both contrast minimums
+ * Hue and chroma are kept (chroma is reduced only where the color would leave the sRGB gamut)
+ * @param {string} foregroundHex
+ * @param {string} backgroundHex
+ * @param {object} [thresholds] - See measureContrast
+ * @returns {{hex: string, contrast: object}|null} The adjusted background and its contrast, or null if no lightness works
+ */
+function findCompliantBackground(foregroundHex, backgroundHex, thresholds = {}) {
+    const background = rgbToOklch(hexToRgb(backgroundHex));
+    // Try darker and lighter at each distance, preferring the direction that already has more contrast
+    const foregroundIsLighter = relativeLuminance(foregroundHex) > relativeLuminance(backgroundHex);
+    const directions = foregroundIsLighter ? [-1, 1] : [1, -1];
+    const step = 0.005;
+    for (let offset = 0; offset <= 1; offset += step) {
+        for (const direction of directions) {
+            const lightness = background.L + direction * offset;
+            if (lightness < 0 || lightness > 1) {
+                continue;
+            }
+            const hex = oklchToHex({ ...background, L: lightness });
+            const contrast = measureContrast(foregroundHex, hex, thresholds);
+            if (contrast.passesWcag && contrast.passesApca) {
+                return { hex, contrast };
+            }
+        }
+    }
+    return null;
+}
+
+export {
+    WCAG_MIN_RATIO,
+    APCA_MIN_LC,
+    relativeLuminance,
+    wcagContrastRatio,
+    apcaContrast,
+    measureContrast,
+    findCompliantBackground
+};
@@ -0,0 +1,87 @@
+// Custom color palette loading
+// Named colors (e.g., brand colors) loaded from JSON files, in addition to the Apple crayon colors
+//
+// File format:
+//   {
+//     "name": "brand",
+//     "colors": { "brand-red": "#d0021b", "brand-navy": "rgb(16 42 84)" }
+//   }
+// "name" defaults to the file name without its extension. Colors accept any CSS color syntax.
+
+import { readFileSync } from 'node:fs';
+import { basename, extname } from 'node:path';
+import { parseCssColor } from './color.js';
+
+// Color names are matched case-insensitively with surrounding whitespace ignored
+function normalizeColorName(name) {
+    return name.trim().toLowerCase();
+}
+
+/**
+ * Parse the contents of a palette file
+ * @param {object} data - Parsed JSON
+ * @param {string} fallbackName - Palette name to use when the file has none
+ * @returns {{name: string, colors: Map<string, string>, warnings: string[]}} Colors by normalized name (lowercase hex),
+ *   and warnings for entries that were skipped
+ */
+function parsePalette(data, fallbackName) {
+    if (!data || typeof data !== 'object' || !data.colors || typeof data.colors !== 'object' || Array.isArray(data.colors)) {
+        throw new Error('expected an object with a "colors" object mapping names to colors');
+    }
+    const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : fallbackName;
+    const colors = new Map();
+    const warnings = [];
+    for (const [colorName, value] of Object.entries(data.colors)) {
+        const normalizedName = normalizeColorName(colorName);
+        if (!normalizedName) {
+            warnings.push(`${name}: skipped a color with an empty name`);
+            continue;
+        }
+        const parsed = typeof value === 'string' ? parseCssColor(value) : { error: 'expected a color string' };
+        if (parsed.error) {
+            warnings.push(`${name}: skipped "${colorName}" (${parsed.error})`);
+            continue;
+        }
+        colors.set(normalizedName, parsed.hex);
+    }
+    return { name, colors, warnings };
+}
+
+/**
+ * Load palettes from JSON files
+ * Files that cannot be read or parsed are skipped with a warning, so a bad file never stops the server.
+ * When several palettes define the same color name, the one loaded first wins.
+ * @param {string[]} paths - Palette file paths
+ * @returns {{palettes: Map<string, Map<string, string>>, warnings: string[]}} Colors by palette name, and warnings
+ */
+function loadColorPalettes(paths) {
+    const palettes = new Map();
+    const warnings = [];
+    const seenNames = new Map();
+    for (const path of paths) {
+        let palette;
+        try {
+            palette = parsePalette(JSON.parse(readFileSync(path, 'utf-8')), basename(path, extname(path)));
+        } catch (error) {
+            warnings.push(`Skipped color palette file ${path}: ${error.message}`);
+            continue;
+        }
+        warnings.push(...palette.warnings);
+        for (const colorName of palette.colors.keys()) {
+            if (seenNames.has(colorName)) {
+                warnings.push(`${palette.name}: "${colorName}" is already defined by ${seenNames.get(colorName)}, keeping that one`);
+                palette.colors.delete(colorName);
+            } else {
+                seenNames.set(colorName, palette.name);
+            }
+        }
+        palettes.set(palette.name, new Map([...(palettes.get(palette.name) ?? []), ...palette.colors]));
+    }
+    return { palettes, warnings };
+}
+
+export {
+    normalizeColorName,
+    parsePalette,
+    loadColorPalettes
+};
@@ -0,0 +1,135 @@
+// Color palette utility functions
+// Color harmonies built around a base color, snapped to Apple crayon colors where one is close
+
+import {
+    appleCrayonColorsHexStrings,
+    colorComplements,
+    hexToRgb,
+    rgbToHex,
+    srgbToLinear,
+    linearToSrgb,
+    rgbToOklch,
+    oklchToHex,
+    findNearestCrayonColor
+} from './color.js';
+
+// Largest CIEDE2000 difference at which a palette color is replaced by its nearest crayon color
+const CRAYON_SNAP_DELTA_E = 6;
+
+// Minimum OKLCH chroma for hue-based harmonies. Higher than NEUTRAL_CHROMA in color.js: a faintly tinted gray still
+// has a hue to saturate, but its rotated hues are too close to gray to tell apart as a palette
+const HARMONY_MIN_CHROMA = 0.03;
+
+/**
+ * Color harmonies
+ * Hue harmonies rotate the base hue in OKLCH (keeping lightness and chroma); monochrome varies lightness
+ * The base color always comes first
+ */
+const paletteHarmonies = new Map()
+    .set('complementary', {
+        description: 'The base color and the color opposite it on the color wheel',
+        hueOffsets: [0, 180]
+    })
+    .set('analogous', {
+        description: 'The base color and its neighbors 30° either side on the color wheel',
+        hueOffsets: [0, -30, 30]
+    })
+    .set('triadic', {
+        description: 'Three colors evenly spaced around the color wheel',
+        hueOffsets: [0, 120, 240]
+    })
+    .set('split-complementary', {
+        description: 'The base color and the two colors either side of its complement',
+        hueOffsets: [0, 150, 210]
+    })
+    .set('monochrome', {
+        description: 'Darker and lighter shades of the base color',
+        lightnessOffsets: [0, -0.3, 0.2, -0.15]
+    });
+
+/**
+ * Snap a color to its nearest crayon color when they are perceptually close
+ * @param {string} hex - Hex color code
+ * @returns {{hex: string, name: string, snapped: boolean, deltaE: number}} The palette color, its crayon name
+ *   (or nearest crayon name when not snapped) and the difference to that crayon
+ */
+function snapToCrayon(hex) {
+    const nearest = findNearestCrayonColor(hex);
+    if (nearest.deltaE <= CRAYON_SNAP_DELTA_E) {
+        return { hex: nearest.hex, name: nearest.name, snapped: true, deltaE: nearest.deltaE };
+    }
+    return { hex, name: nearest.name, snapped: false, deltaE: nearest.deltaE };
+}
+
+/**
+ * Build a palette around a base color
+ * When the base is close to a crayon color with a curated complement in colorComplements, the complementary
+ * palette uses that crayon. Other hue-based harmonies are not available for grays.
+ * @param {string} hex - Base hex color code (lowercase)
+ * @param {string} harmony - One of the keys of paletteHarmonies
+ * @returns {{colors: Array<{hex: string, name: string, snapped: boolean, deltaE: number}>}|{error: string}}
+ */
+function buildPalette(hex, harmony) {
+    const { hueOffsets, lightnessOffsets } = paletteHarmonies.get(harmony);
+    const base = rgbToOklch(hexToRgb(hex));
+    const nearestToBase = findNearestCrayonColor(hex);
+    const baseColor = { hex, name: nearestToBase.name, snapped: nearestToBase.deltaE === 0, deltaE: nearestToBase.deltaE };
+
+    if (harmony === 'complementary' && nearestToBase.deltaE <= CRAYON_SNAP_DELTA_E && colorComplements.has(nearestToBase.name)) {
+        const complementName = colorComplements.get(nearestToBase.name);
+        const complementHex = appleCrayonColorsHexStrings.get(complementName).toLowerCase();
+        return { colors: [baseColor, { hex: complementHex, name: complementName, snapped: true, deltaE: 0 }] };
+    }
+
+    if (lightnessOffsets) {
+        return {
+            colors: [baseColor, ...lightnessOffsets.slice(1).map((offset) => snapToCrayon(oklchToHex({ ...base, L: base.L + offset })))]
+        };
+    }
+
+    if (base.C < HARMONY_MIN_CHROMA) {
+        return { error: `${hex} is a neutral gray with no hue, so the ${harmony} palette does not apply; try monochrome` };
+    }
+    return {
+        colors: [baseColor, ...hueOffsets.slice(1).map((offset) => snapToCrayon(oklchToHex({ ...base, h: (base.h + offset + 360) % 360 })))]
+    };
+}
+
+/**
+ * Tint white with the hue of a color, for light colors that pick up a hint of a palette color
+ * Uses the color at full brightness and mixes in linear light, so tints of dark colors or grays do not dim the light
+ * @param {string} hex - Hex color code
+ * @param {number} strength - Amount of the color (0 = white, 1 = the color at full brightness)
+ * @returns {string} Hex color code
+ */
+function tintColor(hex, strength) {
+    const linear = Object.values(hexToRgb(hex)).map(srgbToLinear);
+    const max = Math.max(...linear);
+    const [r, g, b] = linear.map((channel) => linearToSrgb(1 - strength + strength * (max > 0 ? channel / max : 1)));
+    return rgbToHex({ r, g, b });
+}
+
+/**
+ * Assign palette colors to scene roles
+ * The model takes the base color and the background the second color. The fill picks up a tint of the background
+ * color, as if bounced off the set; the key takes a tint of the last color (the base color in two-color palettes).
+ * @param {Array<{hex: string}>} colors - Palette colors, base first
+ * @param {number} tintStrength - Strength of the light tints (0-1)
+ * @returns {{model: string, background: string, keyLight: string, fillLight: string}} Hex color by role
+ */
+function assignPaletteRoles(colors, tintStrength) {
+    const keySource = colors.length > 2 ? colors[colors.length - 1] : colors[0];
+    return {
+        model: colors[0].hex,
+        background: colors[1].hex,
+        keyLight: tintColor(keySource.hex, tintStrength),
+        fillLight: tintColor(colors[1].hex, tintStrength)
+    };
+}
+
+export {
+    paletteHarmonies,
+    buildPalette,
+    tintColor,
+    assignPaletteRoles
+};
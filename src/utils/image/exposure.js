@@ -0,0 +1,107 @@
+// Exposure analysis of rendered frames
+// Brightness is measured as Rec. 709 luma of the (gamma-encoded) sRGB pixel values
+
+// Luma at or below this value counts as clipped shadow
+const SHADOW_CLIP_LEVEL = 2;
+
+// Luma at or above this value counts as clipped highlight
+const HIGHLIGHT_CLIP_LEVEL = 253;
+
+// Mid-gray target: 18% reflectance encoded in sRGB is about 46% brightness
+const MID_GRAY = 0.46;
+
+// Rec. 709 luma of 8-bit RGB values (0-255)
+function luma(r, g, b) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Analyze the exposure of RGBA pixels
+ * Transparent pixels are skipped, as are pixels matching the ignored color (e.g., the scene background)
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA pixels
+ * @param {object} [options]
+ * @param {{r: number, g: number, b: number}} [options.ignoreColor] - Color of pixels to leave out
+ * @param {number} [options.ignoreTolerance] - Per-channel tolerance when matching ignoreColor
+ * @param {number} [options.bins] - Number of histogram bins (defaults to 16)
+ * @returns {{pixels: number, ignoredPixels: number, mean: number, median: number, shadowsClipped: number,
+ *   highlightsClipped: number, histogram: number[]}} Brightness values are 0-1, clipping and histogram are fractions of pixels
+ */
+function analyzeExposure(image, { ignoreColor = null, ignoreTolerance = 2, bins = 16 } = {}) {
+    const counts = new Array(256).fill(0);
+    let pixels = 0;
+    let ignoredPixels = 0;
+    let total = 0;
+
+    for (let i = 0; i < image.data.length; i += 4) {
+        const r = image.data[i];
+        const g = image.data[i + 1];
+        const b = image.data[i + 2];
+        if (image.data[i + 3] === 0) {
+            ignoredPixels++;
+            continue;
+        }
+        if (ignoreColor &&
+            Math.abs(r - ignoreColor.r) <= ignoreTolerance &&
+            Math.abs(g - ignoreColor.g) <= ignoreTolerance &&
+            Math.abs(b - ignoreColor.b) <= ignoreTolerance) {
+            ignoredPixels++;
+            continue;
+        }
+        const value = luma(r, g, b);
+        counts[Math.round(value)]++;
+        total += value;
+        pixels++;
+    }
+
+    const histogram = new Array(bins).fill(0);
+    let shadowCount = 0;
+    let highlightCount = 0;
+    let median = 0;
+    let cumulative = 0;
+    for (let level = 0; level < 256; level++) {
+        histogram[Math.min(bins - 1, Math.floor(level * bins / 256))] += counts[level];
+        if (level <= SHADOW_CLIP_LEVEL) {
+            shadowCount += counts[level];
+        }
+        if (level >= HIGHLIGHT_CLIP_LEVEL) {
+            highlightCount += counts[level];
+        }
+        if (cumulative < pixels / 2 && cumulative + counts[level] >= pixels / 2) {
+            median = level;
+        }
+        cumulative += counts[level];
+    }
+
+    const fraction = (count) => (pixels > 0 ? count / pixels : 0);
+    return {
+        pixels,
+        ignoredPixels,
+        mean: pixels > 0 ? total / pixels / 255 : 0,
+        median: median / 255,
+        shadowsClipped: fraction(shadowCount),
+        highlightsClipped: fraction(highlightCount),
+        histogram: histogram.map(fraction)
+    };
+}
+
+/**
+ * Estimate the factor to scale light intensities by to move the mean brightness to a target
+ * Brightness is gamma-encoded, so the factor is computed in linear light (gamma 2.2)
+ * @param {number} mean - Current mean brightness (0-1)
+ * @param {number} target - Target mean brightness (0-1)
+ * @param {number} [maxStep] - Largest factor (and smallest reciprocal) applied in one step
+ * @returns {number} Intensity factor
+ */
+function exposureCorrectionFactor(mean, target, maxStep = 4) {
+    if (mean <= 0) {
+        return maxStep;
+    }
+    const factor = Math.pow(target / mean, 2.2);
+    return Math.min(maxStep, Math.max(1 / maxStep, factor));
+}
+
+export {
+    MID_GRAY,
+    analyzeExposure,
+    exposureCorrectionFactor
+};
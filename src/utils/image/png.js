@@ -0,0 +1,217 @@
+// PNG encoding and decoding
+// Minimal codec for the images the browser returns from canvas captures and the images the server composes
+// (no external dependencies)
+
+import { deflateSync, inflateSync } from 'node:zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Largest image decodePng accepts (a 5K frame fits); the header sizes the buffers, so it is checked before allocating
+const MAX_PNG_PIXELS = 4096 * 4096;
+
+// Number of channels per pixel by PNG color type
+const channelsByColorType = new Map()
+    .set(0, 1) // grayscale
+    .set(2, 3) // RGB
+    .set(3, 1) // palette index
+    .set(4, 2) // grayscale + alpha
+    .set(6, 4); // RGBA
+
+// Paeth predictor used by filter type 4
+function paeth(left, up, upLeft) {
+    const p = left + up - upLeft;
+    const pLeft = Math.abs(p - left);
+    const pUp = Math.abs(p - up);
+    const pUpLeft = Math.abs(p - upLeft);
+    if (pLeft <= pUp && pLeft <= pUpLeft) {
+        return left;
+    }
+    return pUp <= pUpLeft ? up : upLeft;
+}
+
+// Reverse the per-scanline filters, returning the raw scanline bytes
+function unfilter(data, width, height, bytesPerPixel) {
+    const stride = width * bytesPerPixel;
+    const raw = new Uint8Array(stride * height);
+    let offset = 0;
+
+    for (let y = 0; y < height; y++) {
+        const filterType = data[offset++];
+        const row = y * stride;
+        const previousRow = row - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const value = data[offset++];
+            const left = x >= bytesPerPixel ? raw[row + x - bytesPerPixel] : 0;
+            const up = y > 0 ? raw[previousRow + x] : 0;
+            const upLeft = y > 0 && x >= bytesPerPixel ? raw[previousRow + x - bytesPerPixel] : 0;
+
+            let predictor;
+            switch (filterType) {
+                case 0: predictor = 0; break;
+                case 1: predictor = left; break;
+                case 2: predictor = up; break;
+                case 3: predictor = (left + up) >> 1; break;
+                case 4: predictor = paeth(left, up, upLeft); break;
+                default: throw new Error(`Unsupported PNG filter type: ${filterType}`);
+            }
+            raw[row + x] = (value + predictor) & 0xff;
+        }
+    }
+    return raw;
+}
+
+/**
+ * Decode a PNG image to 8-bit RGBA pixels
+ * Supports non-interlaced images with 8-bit channels (and 16-bit for non-palette images)
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {{width: number, height: number, data: Uint8Array}} RGBA pixels, row by row
+ */
+function decodePng(buffer) {
+    if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG image');
+    }
+
+    let header = null;
+    let palette = null;
+    let paletteAlpha = null;
+    const dataChunks = [];
+
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += length + 12; // length, type, data, CRC
+
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            paletteAlpha = chunk;
+        } else if (type === 'IDAT') {
+            dataChunks.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) {
+        throw new Error('PNG image has no header');
+    }
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = channelsByColorType.get(colorType);
+    if (!channels) {
+        throw new Error(`Unsupported PNG color type: ${colorType}`);
+    }
+    if (interlace !== 0) {
+        throw new Error('Interlaced PNG images are not supported');
+    }
+    if (bitDepth !== 8 && !(bitDepth === 16 && colorType !== 3)) {
+        throw new Error(`Unsupported PNG bit depth: ${bitDepth}`);
+    }
+    if (colorType === 3 && !palette) {
+        throw new Error('PNG palette image has no palette');
+    }
+    if (width === 0 || height === 0 || width * height > MAX_PNG_PIXELS) {
+        throw new Error(`Unsupported PNG size: ${width}x${height} (at most ${MAX_PNG_PIXELS} pixels)`);
+    }
+
+    const bytesPerSample = bitDepth / 8;
+    const bytesPerPixel = channels * bytesPerSample;
+    // Each scanline is a filter byte plus its pixels; anything that inflates past that is not a valid image
+    const inflated = inflateSync(Buffer.concat(dataChunks), { maxOutputLength: height * (width * bytesPerPixel + 1) });
+    const raw = unfilter(inflated, width, height, bytesPerPixel);
+
+    // Convert to 8-bit RGBA, keeping the most significant byte of 16-bit samples
+    const data = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const sample = (channel) => raw[i * bytesPerPixel + channel * bytesPerSample];
+        const out = i * 4;
+        if (colorType === 3) {
+            const index = sample(0);
+            data[out] = palette[index * 3];
+            data[out + 1] = palette[index * 3 + 1];
+            data[out + 2] = palette[index * 3 + 2];
+            data[out + 3] = paletteAlpha && index < paletteAlpha.length ? paletteAlpha[index] : 255;
+        } else if (channels <= 2) {
+            data[out] = data[out + 1] = data[out + 2] = sample(0);
+            data[out + 3] = channels === 2 ? sample(1) : 255;
+        } else {
+            data[out] = sample(0);
+            data[out + 1] = sample(1);
+            data[out + 2] = sample(2);
+            data[out + 3] = channels === 4 ? sample(3) : 255;
+        }
+    }
+
+    return { width, height, data };
+}
+
+// CRC-32 lookup table for chunk checksums
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+// CRC-32 of a buffer
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Build a PNG chunk: length, type, data and CRC of type + data
+function createChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode 8-bit RGBA pixels as a PNG image
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA pixels, row by row
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng({ width, height, data }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // color type RGBA
+    // compression, filter and interlace methods stay 0
+
+    // Each scanline is prefixed with its filter type (0 = none)
+    const stride = width * 4;
+    const scanlines = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        scanlines.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        createChunk('IHDR', header),
+        createChunk('IDAT', deflateSync(scanlines)),
+        createChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+export {
+    decodePng,
+    encodePng
+};
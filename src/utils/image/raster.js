@@ -0,0 +1,354 @@
+// Raster drawing helpers
+// Just enough to compose captured frames into labeled sheets and rasterize simple diagrams:
+// RGBA images, rectangles, circles, lines, polygons, scaled blits and a 5x7 pixel font
+
+import { hexToRgb } from '../color/color.js';
+
+/**
+ * 5x7 pixel font glyphs (uppercase letters, digits and common punctuation)
+ * Each glyph is 7 rows of 5 columns; '#' marks a lit pixel
+ */
+const glyphs = new Map(Object.entries({
+    'A': ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    'B': ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+    'C': ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+    'D': ['####.', '#...#', '#...#', '#...#', '#...#', '#...#', '####.'],
+    'E': ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+    'F': ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+    'G': ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+    'H': ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    'I': ['.###.', '..#..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    'J': ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+    'K': ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+    'L': ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+    'M': ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+    'N': ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+    'O': ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    'P': ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+    'Q': ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+    'R': ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+    'S': ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+    'T': ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+    'U': ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    'V': ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+    'W': ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+    'X': ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+    'Y': ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+    'Z': ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+    '0': ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+    '1': ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    '2': ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+    '3': ['####.', '....#', '....#', '.###.', '....#', '....#', '####.'],
+    '4': ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+    '5': ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+    '6': ['.###.', '#....', '#....', '####.', '#...#', '#...#', '.###.'],
+    '7': ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+    '8': ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+    '9': ['.###.', '#...#', '#...#', '.####', '....#', '....#', '.###.'],
+    ' ': ['.....', '.....', '.....', '.....', '.....', '.....', '.....'],
+    '.': ['.....', '.....', '.....', '.....', '.....', '.##..', '.##..'],
+    ',': ['.....', '.....', '.....', '.....', '.##..', '..#..', '.#...'],
+    ':': ['.....', '.##..', '.##..', '.....', '.##..', '.##..', '.....'],
+    '-': ['.....', '.....', '.....', '#####', '.....', '.....', '.....'],
+    '+': ['.....', '..#..', '..#..', '#####', '..#..', '..#..', '.....'],
+    '=': ['.....', '.....', '#####', '.....', '#####', '.....', '.....'],
+    '_': ['.....', '.....', '.....', '.....', '.....', '.....', '#####'],
+    '/': ['....#', '....#', '...#.', '..#..', '.#...', '#....', '#....'],
+    '#': ['.#.#.', '.#.#.', '#####', '.#.#.', '#####', '.#.#.', '.#.#.'],
+    '%': ['##..#', '##..#', '...#.', '..#..', '.#...', '#..##', '#..##'],
+    '(': ['...#.', '..#..', '.#...', '.#...', '.#...', '..#..', '...#.'],
+    ')': ['.#...', '..#..', '...#.', '...#.', '...#.', '..#..', '.#...'],
+    '°': ['.##..', '#..#.', '#..#.', '.##..', '.....', '.....', '.....'],
+    '?': ['.###.', '#...#', '....#', '...#.', '..#..', '.....', '..#..']
+}));
+
+// Glyph cell size in font pixels, including one column of spacing
+const GLYPH_WIDTH = 6;
+const GLYPH_HEIGHT = 7;
+
+/**
+ * Create an RGBA image filled with a color
+ * @param {number} width
+ * @param {number} height
+ * @param {{r: number, g: number, b: number}} color
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+function createImage(width, height, { r, g, b }) {
+    const data = new Uint8Array(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+        data[i + 3] = 255;
+    }
+    return { width, height, data };
+}
+
+// Set one pixel, ignoring coordinates outside the image
+function setPixel(image, x, y, { r, g, b }) {
+    if (x < 0 || y < 0 || x >= image.width || y >= image.height) {
+        return;
+    }
+    const offset = (y * image.width + x) * 4;
+    image.data[offset] = r;
+    image.data[offset + 1] = g;
+    image.data[offset + 2] = b;
+    image.data[offset + 3] = 255;
+}
+
+// Fill a rectangle with a color
+function fillRect(image, x, y, width, height, color) {
+    for (let row = y; row < y + height; row++) {
+        for (let column = x; column < x + width; column++) {
+            setPixel(image, column, row, color);
+        }
+    }
+}
+
+/**
+ * Draw a source image scaled (nearest neighbour) into a rectangle of the target image
+ * Transparent source pixels are composited over the target
+ */
+function drawImage(target, source, x, y, width, height) {
+    for (let row = 0; row < height; row++) {
+        const sourceY = Math.min(source.height - 1, Math.floor(row * source.height / height));
+        for (let column = 0; column < width; column++) {
+            const sourceX = Math.min(source.width - 1, Math.floor(column * source.width / width));
+            const sourceOffset = (sourceY * source.width + sourceX) * 4;
+            const targetX = x + column;
+            const targetY = y + row;
+            if (targetX < 0 || targetY < 0 || targetX >= target.width || targetY >= target.height) {
+                continue;
+            }
+            const targetOffset = (targetY * target.width + targetX) * 4;
+            const alpha = source.data[sourceOffset + 3] / 255;
+            for (let channel = 0; channel < 3; channel++) {
+                target.data[targetOffset + channel] = Math.round(
+                    source.data[sourceOffset + channel] * alpha + target.data[targetOffset + channel] * (1 - alpha)
+                );
+            }
+            target.data[targetOffset + 3] = 255;
+        }
+    }
+}
+
+// Fill a circle
+function fillCircle(image, cx, cy, radius, color) {
+    for (let y = Math.floor(cy - radius); y <= Math.ceil(cy + radius); y++) {
+        for (let x = Math.floor(cx - radius); x <= Math.ceil(cx + radius); x++) {
+            if ((x - cx) ** 2 + (y - cy) ** 2 <= radius ** 2) {
+                setPixel(image, x, y, color);
+            }
+        }
+    }
+}
+
+// Draw the outline of a circle with a line width
+function strokeCircle(image, cx, cy, radius, color, lineWidth = 1) {
+    const outer = radius + lineWidth / 2;
+    const inner = Math.max(0, radius - lineWidth / 2);
+    for (let y = Math.floor(cy - outer); y <= Math.ceil(cy + outer); y++) {
+        for (let x = Math.floor(cx - outer); x <= Math.ceil(cx + outer); x++) {
+            const distanceSquared = (x - cx) ** 2 + (y - cy) ** 2;
+            if (distanceSquared <= outer ** 2 && distanceSquared >= inner ** 2) {
+                setPixel(image, x, y, color);
+            }
+        }
+    }
+}
+
+// Draw a line with a width, optionally dashed ([dash length, gap length] in pixels)
+function drawLine(image, x1, y1, x2, y2, color, lineWidth = 1, dash = null) {
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    const steps = Math.max(1, Math.ceil(length));
+    for (let step = 0; step <= steps; step++) {
+        const along = step / steps * length;
+        if (dash && along % (dash[0] + dash[1]) >= dash[0]) {
+            continue;
+        }
+        const x = x1 + (x2 - x1) * step / steps;
+        const y = y1 + (y2 - y1) * step / steps;
+        if (lineWidth <= 1) {
+            setPixel(image, Math.round(x), Math.round(y), color);
+        } else {
+            fillCircle(image, x, y, lineWidth / 2, color);
+        }
+    }
+}
+
+// Fill a polygon given as [[x, y], ...] (even-odd rule, sampled at pixel centers)
+function fillPolygon(image, points, color) {
+    const ys = points.map(([, y]) => y);
+    for (let y = Math.floor(Math.min(...ys)); y <= Math.ceil(Math.max(...ys)); y++) {
+        const sampleY = y + 0.5;
+        const crossings = [];
+        points.forEach(([xa, ya], index) => {
+            const [xb, yb] = points[(index + 1) % points.length];
+            if ((ya <= sampleY && yb > sampleY) || (yb <= sampleY && ya > sampleY)) {
+                crossings.push(xa + (sampleY - ya) * (xb - xa) / (yb - ya));
+            }
+        });
+        crossings.sort((a, b) => a - b);
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            for (let x = Math.ceil(crossings[i] - 0.5); x < crossings[i + 1] - 0.5; x++) {
+                setPixel(image, x, y, color);
+            }
+        }
+    }
+}
+
+// Width in pixels of text drawn at a scale
+function measureText(text, scale = 1) {
+    return Math.max(0, text.length * GLYPH_WIDTH - 1) * scale;
+}
+
+// Height in pixels of a line of text drawn at a scale
+function textHeight(scale = 1) {
+    return GLYPH_HEIGHT * scale;
+}
+
+/**
+ * Draw a line of text with the 5x7 font (letters are drawn uppercase, unknown characters as '?')
+ * @param {object} image - Target image
+ * @param {string} text
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {{r: number, g: number, b: number}} color
+ * @param {number} [scale] - Size of each font pixel
+ */
+function drawText(image, text, x, y, color, scale = 1) {
+    Array.from(text.toUpperCase()).forEach((character, index) => {
+        const glyph = glyphs.get(character) ?? glyphs.get('?');
+        const left = x + index * GLYPH_WIDTH * scale;
+        glyph.forEach((row, rowIndex) => {
+            for (let column = 0; column < row.length; column++) {
+                if (row[column] === '#') {
+                    fillRect(image, left + column * scale, y + rowIndex * scale, scale, scale, color);
+                }
+            }
+        });
+    });
+}
+
+// Shorten text with a trailing ellipsis ("..") so it fits a width at a scale
+function fitText(text, maxWidth, scale = 1) {
+    if (measureText(text, scale) <= maxWidth) {
+        return text;
+    }
+    const maxCharacters = Math.max(0, Math.floor((maxWidth / scale + 1) / GLYPH_WIDTH) - 2);
+    return `${text.slice(0, maxCharacters)}..`;
+}
+
+/**
+ * Compose frames into a labeled grid with a title
+ * Frames are scaled to cells of the given width, keeping the aspect ratio of the first frame
+ * @param {Array<{width, height, data}>} frames - RGBA images
+ * @param {string[]} labels - Label drawn under each frame
+ * @param {object} options
+ * @param {string} options.title - Title drawn above the grid
+ * @param {number} options.columns - Number of grid columns
+ * @param {number} options.cellWidth - Width of each frame in the sheet
+ * @param {number} [options.padding] - Space around cells in pixels
+ * @param {number} [options.textScale] - Font pixel size
+ * @param {{r, g, b}} [options.background] - Sheet color
+ * @param {{r, g, b}} [options.textColor] - Title and label color
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+function composeContactSheet(frames, labels, {
+    title,
+    columns,
+    cellWidth,
+    padding = 8,
+    textScale = 2,
+    background = { r: 32, g: 32, b: 32 },
+    textColor = { r: 235, g: 235, b: 235 }
+}) {
+    const cellHeight = Math.max(1, Math.round(cellWidth * frames[0].height / frames[0].width));
+    const rows = Math.ceil(frames.length / columns);
+    const lineHeight = textHeight(textScale) + padding;
+    const width = columns * (cellWidth + padding) + padding;
+    const height = padding + lineHeight + rows * (cellHeight + lineHeight + padding);
+
+    const sheet = createImage(width, height, background);
+    drawText(sheet, fitText(title, width - 2 * padding, textScale), padding, padding, textColor, textScale);
+
+    frames.forEach((frame, index) => {
+        const x = padding + (index % columns) * (cellWidth + padding);
+        const y = padding + lineHeight + Math.floor(index / columns) * (cellHeight + lineHeight + padding);
+        drawImage(sheet, frame, x, y, cellWidth, cellHeight);
+
+        const label = fitText(labels[index] ?? '', cellWidth, textScale);
+        const labelX = x + Math.floor((cellWidth - measureText(label, textScale)) / 2);
+        drawText(sheet, label, labelX, y + cellHeight + Math.floor(padding / 2), textColor, textScale);
+    });
+
+    return sheet;
+}
+
+/**
+ * Rasterize vector shapes (as used for SVG output) to an RGBA image
+ * Shapes: {type: 'circle', cx, cy, r, fill?, stroke?, strokeWidth?},
+ * {type: 'line', x1, y1, x2, y2, stroke, strokeWidth?, dashed?},
+ * {type: 'polygon', points: [[x, y], ...], fill?, stroke?, strokeWidth?},
+ * {type: 'text', x, y, text, color, size, anchor?: 'start' | 'middle' | 'end'} where y is the top of the text.
+ * Colors are hex strings. Text uses the 5x7 pixel font scaled to the nearest whole multiple of its size.
+ * @param {object[]} shapes
+ * @param {object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {string} options.background - Hex color
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+function rasterizeShapes(shapes, { width, height, background }) {
+    const image = createImage(width, height, hexToRgb(background));
+    for (const shape of shapes) {
+        const strokeWidth = shape.strokeWidth ?? 1;
+        switch (shape.type) {
+            case 'circle':
+                if (shape.fill) {
+                    fillCircle(image, shape.cx, shape.cy, shape.r, hexToRgb(shape.fill));
+                }
+                if (shape.stroke) {
+                    strokeCircle(image, shape.cx, shape.cy, shape.r, hexToRgb(shape.stroke), strokeWidth);
+                }
+                break;
+            case 'line':
+                drawLine(image, shape.x1, shape.y1, shape.x2, shape.y2, hexToRgb(shape.stroke), strokeWidth,
+                    shape.dashed ? [strokeWidth * 4, strokeWidth * 3] : null);
+                break;
+            case 'polygon':
+                if (shape.fill) {
+                    fillPolygon(image, shape.points, hexToRgb(shape.fill));
+                }
+                if (shape.stroke) {
+                    shape.points.forEach(([x1, y1], index) => {
+                        const [x2, y2] = shape.points[(index + 1) % shape.points.length];
+                        drawLine(image, x1, y1, x2, y2, hexToRgb(shape.stroke), strokeWidth);
+                    });
+                }
+                break;
+            case 'text': {
+                const scale = Math.max(1, Math.round(shape.size / GLYPH_HEIGHT));
+                const textWidth = measureText(shape.text, scale);
+                const offset = shape.anchor === 'middle' ? textWidth / 2 : shape.anchor === 'end' ? textWidth : 0;
+                drawText(image, shape.text, Math.round(shape.x - offset), Math.round(shape.y), hexToRgb(shape.color), scale);
+                break;
+            }
+            default:
+                throw new Error(`Unknown shape type: ${shape.type}`);
+        }
+    }
+    return image;
+}
+
+export {
+    createImage,
+    fillRect,
+    drawImage,
+    drawText,
+    measureText,
+    textHeight,
+    fitText,
+    composeContactSheet,
+    rasterizeShapes
+};
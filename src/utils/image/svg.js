@@ -0,0 +1,64 @@
+// SVG output
+// Serializes the vector shapes used for diagrams (see rasterizeShapes in raster.js for the shape format)
+
+// Escape text for use in SVG content and attribute values
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Round coordinates so the markup stays compact
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Serialize one shape as an SVG element
+function shapeToSvg(shape) {
+    const strokeWidth = shape.strokeWidth ?? 1;
+    const paint = `fill="${shape.fill ?? 'none'}"` +
+        (shape.stroke ? ` stroke="${shape.stroke}" stroke-width="${strokeWidth}"` : '');
+
+    switch (shape.type) {
+        case 'circle':
+            return `<circle cx="${round(shape.cx)}" cy="${round(shape.cy)}" r="${round(shape.r)}" ${paint}/>`;
+        case 'line':
+            return `<line x1="${round(shape.x1)}" y1="${round(shape.y1)}" x2="${round(shape.x2)}" y2="${round(shape.y2)}" ` +
+                `stroke="${shape.stroke}" stroke-width="${strokeWidth}"` +
+                (shape.dashed ? ` stroke-dasharray="${strokeWidth * 4} ${strokeWidth * 3}"` : '') + '/>';
+        case 'polygon':
+            return `<polygon points="${shape.points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ')}" ${paint}/>`;
+        case 'text':
+            return `<text x="${round(shape.x)}" y="${round(shape.y)}" fill="${shape.color}" font-size="${shape.size}" ` +
+                `text-anchor="${shape.anchor ?? 'start'}" dominant-baseline="hanging">${escapeXml(shape.text)}</text>`;
+        default:
+            throw new Error(`Unknown shape type: ${shape.type}`);
+    }
+}
+
+/**
+ * Serialize shapes as a standalone SVG document
+ * @param {object[]} shapes
+ * @param {object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {string} options.background - Hex color
+ * @param {string} [options.title] - Accessible title of the document
+ * @returns {string} SVG markup
+ */
+function shapesToSvg(shapes, { width, height, background, title }) {
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+            'font-family="Helvetica, Arial, sans-serif">',
+        ...(title ? [`  <title>${escapeXml(title)}</title>`] : []),
+        `  <rect width="${width}" height="${height}" fill="${background}"/>`,
+        ...shapes.map((shape) => `  ${shapeToSvg(shape)}`),
+        '</svg>'
+    ].join('\n');
+}
+
+export {
+    shapesToSvg
+};
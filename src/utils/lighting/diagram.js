@@ -0,0 +1,170 @@
+// Lighting diagram
+// Top-down plan view of the studio in the camera-centric coordinates used by the browser:
+// the model sits at the center, the camera below it (azimuth 180°, behind the camera), camera right (azimuth 90°)
+// to the right and camera forward (azimuth 0°) at the top
+
+const DIAGRAM_BACKGROUND = '#ffffff';
+const INK_COLOR = '#333333';
+const GUIDE_COLOR = '#d8d8d8';
+const FALLBACK_COLOR = '#cccccc';
+
+// Share of the half-size used by the farthest object, leaving a margin for labels
+const PLAN_EXTENT = 0.62;
+
+// Format a number with at most one decimal
+function formatNumber(value) {
+    return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Build the shapes of a top-down lighting diagram from a scene state
+ * Lights are placed by azimuth and horizontal distance (distance × cos elevation); their labels carry
+ * azimuth, elevation, distance and intensity since height is not visible from above
+ * @param {object} state - Scene state (as returned by getState)
+ * @param {object} [options]
+ * @param {number} [options.size] - Width and height of the diagram in pixels
+ * @returns {{width: number, height: number, background: string, title: string, shapes: object[]}}
+ */
+function buildLightingDiagram(state, { size = 600 } = {}) {
+    const fontSize = Math.max(7, Math.round(size / 300) * 7);
+    const smallFontSize = Math.max(7, fontSize - 7);
+    const characterWidth = fontSize * 6 / 7;
+    const padding = fontSize;
+    const center = { x: size / 2, y: size / 2 };
+
+    const lights = [['Key', state.keyLight], ['Fill', state.fillLight]]
+        .filter(([, light]) => light?.position)
+        .map(([name, light]) => {
+            const { azimuth = 0, elevation = 0, distance = 0 } = light.position;
+            return { name, light, azimuth, elevation, distance, planDistance: distance * Math.cos(elevation * Math.PI / 180) };
+        });
+    const cameraDistance = state.camera?.distance ?? 0;
+    const extent = Math.max(1, cameraDistance, ...lights.map(({ planDistance }) => planDistance));
+    const scale = size / 2 * PLAN_EXTENT / extent;
+
+    // Plan position of a point at an azimuth and horizontal distance from the model
+    const toPlan = (azimuth, distance) => {
+        const radians = azimuth * Math.PI / 180;
+        return {
+            x: center.x + Math.sin(radians) * distance * scale,
+            y: center.y - Math.cos(radians) * distance * scale
+        };
+    };
+
+    // Centered label lines below (or above) a point, kept inside the diagram
+    const label = (lines, x, y, above = false) => {
+        const lineHeight = fontSize + 4;
+        const widest = Math.max(...lines.map((line) => line.length)) * characterWidth;
+        const labelX = Math.min(size - padding - widest / 2, Math.max(padding + widest / 2, x));
+        const top = above ? y - lines.length * lineHeight : y;
+        return lines.map((text, index) => ({
+            type: 'text',
+            x: labelX,
+            y: top + index * lineHeight,
+            text,
+            color: INK_COLOR,
+            size: index === 0 ? fontSize : smallFontSize,
+            anchor: 'middle'
+        }));
+    };
+
+    const shapes = [];
+
+    // Guide rings and axes
+    for (const ring of [0.5, 1]) {
+        shapes.push({ type: 'circle', cx: center.x, cy: center.y, r: extent * scale * ring, stroke: GUIDE_COLOR });
+    }
+    shapes.push({ type: 'line', x1: center.x, y1: center.y - extent * scale, x2: center.x, y2: center.y + extent * scale, stroke: GUIDE_COLOR });
+    shapes.push({ type: 'line', x1: center.x - extent * scale, y1: center.y, x2: center.x + extent * scale, y2: center.y, stroke: GUIDE_COLOR });
+
+    // Camera
+    const camera = toPlan(180, cameraDistance);
+    const cameraSize = fontSize;
+    shapes.push({
+        type: 'polygon',
+        points: [
+            [camera.x - cameraSize, camera.y],
+            [camera.x + cameraSize, camera.y],
+            [camera.x + cameraSize, camera.y + cameraSize * 1.2],
+            [camera.x - cameraSize, camera.y + cameraSize * 1.2]
+        ],
+        fill: INK_COLOR
+    });
+    shapes.push({
+        type: 'polygon',
+        points: [
+            [camera.x - cameraSize * 0.5, camera.y - cameraSize * 0.6],
+            [camera.x + cameraSize * 0.5, camera.y - cameraSize * 0.6],
+            [camera.x + cameraSize * 0.3, camera.y],
+            [camera.x - cameraSize * 0.3, camera.y]
+        ],
+        fill: INK_COLOR
+    });
+    const cameraDetails = [`dist ${formatNumber(cameraDistance)}`];
+    if (state.camera?.fov > 0) {
+        // The browser's FOV is a zoom-like value (lower = wider), not an angle
+        cameraDetails.push(`FOV ${formatNumber(state.camera.fov)}`);
+    }
+    shapes.push(...label(['Camera', cameraDetails.join(', ')], camera.x, camera.y + cameraSize * 1.2 + 4));
+
+    // Lights: beam line to the model, a panel facing it, and a label
+    for (const { name, light, azimuth, elevation, distance, planDistance } of lights) {
+        const position = toPlan(azimuth, planDistance);
+        const toModel = { x: center.x - position.x, y: center.y - position.y };
+        const length = Math.hypot(toModel.x, toModel.y) || 1;
+        const forward = { x: toModel.x / length, y: toModel.y / length };
+        const across = { x: -forward.y, y: forward.x };
+        const halfWidth = Math.max(fontSize * 0.8, (light.size?.width ?? 0) * scale / 2);
+        const depth = fontSize * 0.6;
+
+        shapes.push({ type: 'line', x1: position.x, y1: position.y, x2: center.x, y2: center.y, stroke: INK_COLOR, dashed: true });
+        shapes.push({
+            type: 'polygon',
+            points: [
+                [position.x + across.x * halfWidth, position.y + across.y * halfWidth],
+                [position.x - across.x * halfWidth, position.y - across.y * halfWidth],
+                [position.x - across.x * halfWidth - forward.x * depth, position.y - across.y * halfWidth - forward.y * depth],
+                [position.x + across.x * halfWidth - forward.x * depth, position.y + across.y * halfWidth - forward.y * depth]
+            ],
+            fill: light.color ?? FALLBACK_COLOR,
+            stroke: INK_COLOR,
+            strokeWidth: 2
+        });
+
+        const lines = [
+            `${name} ${formatNumber(light.intensity ?? 0)}`,
+            `az ${formatNumber(azimuth)}°, el ${formatNumber(elevation)}°, dist ${formatNumber(distance)}`
+        ];
+        const above = position.y < center.y;
+        shapes.push(...label(lines, position.x, above ? position.y - halfWidth - 4 : position.y + halfWidth + 4, above));
+    }
+
+    // Model
+    shapes.push({
+        type: 'circle',
+        cx: center.x,
+        cy: center.y,
+        r: fontSize * 1.2,
+        fill: state.model?.color ?? FALLBACK_COLOR,
+        stroke: INK_COLOR,
+        strokeWidth: 2
+    });
+
+    // Title and legend
+    const title = 'Lighting diagram (top view)';
+    shapes.push({ type: 'text', x: padding, y: padding, text: title, color: INK_COLOR, size: fontSize });
+    shapes.push({
+        type: 'text',
+        x: padding,
+        y: size - padding - smallFontSize,
+        text: 'Azimuth 0° is camera forward, 90° camera right, 180° behind the camera',
+        color: INK_COLOR,
+        size: smallFontSize
+    });
+
+    return { width: size, height: size, background: DIAGRAM_BACKGROUND, title, shapes };
+}
+
+export {
+    buildLightingDiagram
+};
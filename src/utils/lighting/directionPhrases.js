@@ -0,0 +1,167 @@
+// Direction phrase parsing
+// Turns the ways people describe a light's direction into the camera-centric angles used by the browser:
+// azimuth 0° = camera forward (beyond the model), 90° = camera right, 180° = behind the camera, 270° = camera left
+
+import { normalizeAzimuth } from './lighting.js';
+
+// Words that carry no direction ("from the left of the model" reads as "left")
+const connectingWords = new Set(['from', 'the', 'of', 'to', 'toward', 'towards', 'at', 'on']);
+// Words that only name the reference point; dropped in a second pass ("camera left" reads as "left")
+const referenceWords = new Set(['side', 'model', 'subject', 'camera', 'cam', 'light']);
+
+/**
+ * Camera-relative direction terms, matched with connecting words removed and then also without reference words
+ * "Front" is the camera side of the model and "behind" the far side, unless the phrase names the camera
+ * ("behind the camera"). "upper" and "lower" describe height, so "upper right" is the front-right position a key
+ * light usually takes
+ */
+const cameraRelativeAzimuths = new Map()
+    .set('camera', 180).set('camera side', 180).set('behind camera', 180).set('behind cam', 180)
+    .set('front', 180).set('in front', 180).set('frontal', 180).set('on axis', 180).set('straight on', 180).set('head on', 180)
+    .set('right', 90).set('left', 270)
+    .set('behind', 0).set('behind model', 0).set('behind subject', 0).set('back', 0).set('rear', 0).set('backlit', 0)
+    .set('forward', 0)
+    .set('front right', 135).set('right front', 135).set('front left', 225).set('left front', 225)
+    .set('back right', 45).set('right back', 45).set('behind right', 45).set('rear right', 45)
+    .set('back left', 315).set('left back', 315).set('behind left', 315).set('rear left', 315)
+    .set('upper right', 135).set('top right', 135).set('high right', 135).set('lower right', 135).set('low right', 135)
+    .set('upper left', 225).set('top left', 225).set('high left', 225).set('lower left', 225).set('low left', 225);
+
+/**
+ * 32-point compass in this app's orientation (north = camera forward, beyond the model; south = camera side; east = camera right), every 11.25°
+ * Points are listed as abbreviations; full names ("north by east", "north-northeast") are derived from them
+ */
+const compassPoints = [
+    'N', 'NbE', 'NNE', 'NEbN', 'NE', 'NEbE', 'ENE', 'EbN',
+    'E', 'EbS', 'ESE', 'SEbE', 'SE', 'SEbS', 'SSE', 'SbE',
+    'S', 'SbW', 'SSW', 'SWbS', 'SW', 'SWbW', 'WSW', 'WbS',
+    'W', 'WbN', 'WNW', 'NWbW', 'NW', 'NWbN', 'NNW', 'NbW'
+];
+const cardinalNames = new Map([['n', 'north'], ['e', 'east'], ['s', 'south'], ['w', 'west']]);
+
+// Compass names by normalized spelling (lowercase, spaces and hyphens removed)
+const compassAzimuths = new Map();
+compassPoints.forEach((point, index) => {
+    const azimuth = index * 11.25;
+    const [main, by] = point.split('b');
+    const fullMain = Array.from(main.toLowerCase(), (letter) => cardinalNames.get(letter)).join('');
+    compassAzimuths.set(point.toLowerCase(), azimuth);
+    compassAzimuths.set(point.toLowerCase().replace('b', 'by'), azimuth);
+    compassAzimuths.set(by ? `${fullMain}by${cardinalNames.get(by.toLowerCase())}` : fullMain, azimuth);
+});
+
+const numberWords = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+
+// Normalize a phrase: lowercase, accents and punctuation (except those used by numbers and clock times) removed
+function normalizePhrase(phrase) {
+    return phrase
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9.:°'’\s-]/g, ' ')
+        .trim()
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Parse a clock position, seen from above with the camera at 6 o'clock
+ * 12 o'clock is camera forward (behind the model, azimuth 0°), 3 o'clock camera right, 9 o'clock camera left
+ * Accepts "2 o'clock", "2 oclock", "two o'clock", "2:30" and "half past 2"
+ * @param {string} phrase - Normalized phrase
+ * @returns {number|null} Azimuth in degrees
+ */
+function parseClockPosition(phrase) {
+    const hourPattern = `(\\d{1,2}|${numberWords.join('|')})`;
+    const toHour = (token) => (/^\d+$/.test(token) ? parseInt(token, 10) : numberWords.indexOf(token) + 1);
+    let hours = null;
+    let match = new RegExp(`^(?:half past ${hourPattern})$`).exec(phrase);
+    if (match) {
+        hours = toHour(match[1]) + 0.5;
+    } else if ((match = new RegExp(`^${hourPattern}(?::(\\d{2}))?(?: ?o ?['’]? ?clock)?$`).exec(phrase))) {
+        // A bare number is a degree value, so clock positions need "o'clock" or minutes
+        if (!match[2] && !/clock$/.test(phrase)) {
+            return null;
+        }
+        hours = toHour(match[1]) + (match[2] ? parseInt(match[2], 10) / 60 : 0);
+    }
+    if (hours === null || hours < 1 || hours > 12.99) {
+        return null;
+    }
+    return normalizeAzimuth(hours * 30);
+}
+
+/**
+ * Parse an angle given with units: "45deg", "45°", "45 degrees", "0.8rad", "1.2 radians"
+ * Plain numbers in a string ("45") are read as degrees
+ * @param {string} phrase - Normalized phrase
+ * @returns {number|null} Angle in degrees rounded to 0.01° (not normalized)
+ */
+function parseAngle(phrase) {
+    const match = /^(-?\d+(?:\.\d+)?|-?\.\d+) ?(deg|degs|degree|degrees|°|rad|rads|radian|radians)?$/.exec(phrase);
+    if (!match) {
+        return null;
+    }
+    const value = parseFloat(match[1]);
+    const degrees = match[2]?.startsWith('rad') ? value * 180 / Math.PI : value;
+    return Math.round(degrees * 100) / 100;
+}
+
+/**
+ * Parse an azimuth phrase: a clock position, a camera-relative term, an angle with units or a 32-point compass name
+ * Angles must be within 0-360°, like numeric azimuths
+ * @param {string} phrase - e.g., "2 o'clock", "camera left", "behind the model", "upper right", "45deg", "NEbN"
+ * @returns {number|null} Azimuth in degrees (0-360) or null if the phrase is not recognized
+ */
+function parseAzimuthPhrase(phrase) {
+    if (typeof phrase !== 'string') {
+        return null;
+    }
+    const normalized = normalizePhrase(phrase).replace(/^(?:at|from) /, '');
+    const clock = parseClockPosition(normalized);
+    if (clock !== null) {
+        return clock;
+    }
+    const angle = parseAngle(normalized);
+    if (angle !== null) {
+        return angle >= 0 && angle <= 360 ? normalizeAzimuth(angle) : null;
+    }
+    const words = normalized.replace(/[-']/g, ' ').split(' ').filter((word) => word && !connectingWords.has(word));
+    const relative = cameraRelativeAzimuths.get(words.join(' ')) ??
+        cameraRelativeAzimuths.get(words.filter((word) => !referenceWords.has(word)).join(' '));
+    if (relative !== undefined) {
+        return relative;
+    }
+    return compassAzimuths.get(normalized.replace(/[\s-]/g, '')) ?? null;
+}
+
+/**
+ * Elevation vocabulary in degrees above the horizon
+ */
+const elevationNames = new Map()
+    .set('horizon', 0).set('eye level', 0).set('level', 0)
+    .set('low', 15)
+    .set('medium', 30).set('mid', 30).set('mid height', 30)
+    .set('high', 45)
+    .set('very high', 65).set('steep', 65)
+    .set('overhead', 90).set('directly overhead', 90).set('top', 90).set('zenith', 90);
+
+/**
+ * Parse an elevation phrase: a name from elevationNames or an angle with units ("30deg", "0.5rad")
+ * @param {string} phrase
+ * @returns {number|null} Elevation in degrees or null if the phrase is not recognized (range is not checked)
+ */
+function parseElevationPhrase(phrase) {
+    if (typeof phrase !== 'string') {
+        return null;
+    }
+    const normalized = normalizePhrase(phrase).replace(/-/g, ' ');
+    return elevationNames.get(normalized) ?? parseAngle(normalized);
+}
+
+export {
+    cameraRelativeAzimuths,
+    compassAzimuths,
+    elevationNames,
+    parseAzimuthPhrase,
+    parseElevationPhrase
+};
@@ -0,0 +1,160 @@
+// Lighting utility functions
+// Classic photographic lighting setups expressed in the camera-centric spherical coordinates
+// used by the browser: azimuth 0° = camera forward (beyond the model), 90° = camera right, 180° = behind the camera,
+// 270° = camera left
+
+/**
+ * Classic lighting styles
+ * Key and fill placement is given as an offset from the camera axis (degrees toward the key side)
+ * and an elevation above the horizon. The fill sits on the opposite side of the key.
+ * defaultRatio is the key:fill intensity ratio typically used for the style.
+ */
+const lightingStyles = new Map()
+    .set('rembrandt', {
+        description: 'Key 45° to the side and high, leaving a small triangle of light on the shadow side',
+        key: { offset: 45, elevation: 45 },
+        fill: { offset: 45, elevation: 10 },
+        defaultRatio: 4
+    })
+    .set('butterfly', {
+        description: 'Key on the camera axis and high, casting a small shadow straight below; fill low and frontal',
+        key: { offset: 0, elevation: 50 },
+        fill: { offset: 0, elevation: 0 },
+        defaultRatio: 2
+    })
+    .set('split', {
+        description: 'Key 90° to the side at eye level, lighting exactly half the subject',
+        key: { offset: 90, elevation: 10 },
+        fill: { offset: 90, elevation: 10 },
+        defaultRatio: 8
+    })
+    .set('loop', {
+        description: 'Key 30° to the side and slightly above eye level, casting a small loop-shaped shadow',
+        key: { offset: 30, elevation: 30 },
+        fill: { offset: 30, elevation: 10 },
+        defaultRatio: 2
+    })
+    .set('broad', {
+        description: 'Key on the side of the subject turned toward the camera, lighting the broad side',
+        key: { offset: 45, elevation: 35 },
+        fill: { offset: 45, elevation: 10 },
+        defaultRatio: 2
+    })
+    .set('short', {
+        description: 'Key on the side of the subject turned away from the camera, lighting the short side',
+        key: { offset: 45, elevation: 35 },
+        fill: { offset: 45, elevation: 10 },
+        defaultRatio: 3
+    });
+
+// Normalize an angle in degrees to the range [0, 360)
+function normalizeAzimuth(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+// Convert an offset from the camera axis to an azimuth on the given side ('left' or 'right')
+// The camera side of the model is azimuth 180°, so offsets toward camera right count down from there
+function offsetToAzimuth(offset, side) {
+    return normalizeAzimuth(side === 'left' ? 180 + offset : 180 - offset);
+}
+
+/**
+ * Choose the key side for broad and short lighting from the model yaw
+ * Positive yaw turns the model toward camera right, so its broad side faces camera left
+ * @param {string} style - Lighting style name
+ * @param {number} modelYaw - Model rotation around Y in degrees
+ * @returns {string} 'left' or 'right'
+ */
+function keySideForModelYaw(style, modelYaw) {
+    const yaw = normalizeAzimuth(modelYaw + 180) - 180;
+    const facingRight = yaw >= 0;
+    if (style === 'short') {
+        return facingRight ? 'right' : 'left';
+    }
+    return facingRight ? 'left' : 'right';
+}
+
+/**
+ * Compute key and fill settings for a lighting style
+ * @param {string} styleName - One of the keys of lightingStyles
+ * @param {object} options
+ * @param {string} options.side - Camera side for the key light ('left' or 'right')
+ * @param {number} options.keyIntensity - Key light intensity to keep
+ * @param {number} [options.ratio] - Key:fill ratio (defaults to the style's ratio)
+ * @returns {{key: {azimuth, elevation, intensity}, fill: {azimuth, elevation, intensity}, ratio: number}}
+ */
+function computeLightingStyle(styleName, { side, keyIntensity, ratio }) {
+    const style = lightingStyles.get(styleName);
+    const fillSide = side === 'left' ? 'right' : 'left';
+    const effectiveRatio = ratio ?? style.defaultRatio;
+
+    return {
+        key: {
+            azimuth: offsetToAzimuth(style.key.offset, side),
+            elevation: style.key.elevation,
+            intensity: keyIntensity
+        },
+        fill: {
+            azimuth: offsetToAzimuth(style.fill.offset, fillSide),
+            elevation: style.fill.elevation,
+            intensity: keyIntensity / effectiveRatio
+        },
+        ratio: effectiveRatio
+    };
+}
+
+/**
+ * Parse a lighting ratio given as a number (4) or a ratio string ("4:1")
+ * @param {number|string} input
+ * @returns {number|null} Key:fill ratio or null if invalid
+ */
+function parseLightingRatio(input) {
+    if (typeof input === 'number') {
+        return input > 0 ? input : null;
+    }
+    const match = /^\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)\s*$/.exec(input);
+    if (!match) {
+        return null;
+    }
+    const key = parseFloat(match[1]);
+    const fill = parseFloat(match[2]);
+    return key > 0 && fill > 0 ? key / fill : null;
+}
+
+// Convert a key:fill ratio to the difference in stops (each stop doubles the light)
+function lightingRatioToStops(ratio) {
+    return Math.log2(ratio);
+}
+
+/**
+ * Compute key and fill intensities that achieve a key:fill ratio
+ * @param {{key: number, fill: number}} current - Current intensities
+ * @param {number} ratio - Target key:fill ratio
+ * @param {object} options
+ * @param {string} options.adjust - Light to change when not preserving total ('fill' or 'key')
+ * @param {boolean} options.preserveTotal - Keep key + fill constant by adjusting both lights
+ * @returns {{key: number, fill: number}}
+ */
+function intensitiesForRatio(current, ratio, { adjust = 'fill', preserveTotal = false } = {}) {
+    if (preserveTotal) {
+        const total = current.key + current.fill;
+        return {
+            key: total * ratio / (ratio + 1),
+            fill: total / (ratio + 1)
+        };
+    }
+    if (adjust === 'key') {
+        return { key: current.fill * ratio, fill: current.fill };
+    }
+    return { key: current.key, fill: current.key / ratio };
+}
+
+export {
+    lightingStyles,
+    normalizeAzimuth,
+    keySideForModelYaw,
+    computeLightingStyle,
+    parseLightingRatio,
+    lightingRatioToStops,
+    intensitiesForRatio
+};
@@ -0,0 +1,33 @@
+// German color and direction names (see es.js for the format)
+// Besides compass names, directions include camera-relative positions ("links oben" = upper left)
+
+const colors = new Map([
+    ['rot', 'red'],
+    ['gelb', 'yellow'],
+    ['grün', 'green'],
+    ['blau', 'blue'],
+    ['marineblau', 'navy'],
+    ['himmelblau', 'skyblue'],
+    ['türkis', 'turquoise'],
+    ['lila', 'purple'], ['violett', 'violet'],
+    ['rosa', 'pink'],
+    ['braun', 'brown'],
+    ['weiß', 'white'],
+    ['schwarz', 'black'],
+    ['grau', 'gray'],
+    ['silber', 'silver'], ['silbern', 'silver'],
+    ['golden', 'gold']
+]);
+
+const directions = new Map([
+    ['nord', 'north'], ['süd', 'south'], ['ost', 'east'],
+    ['nordost', 'northeast'], ['nordwest', 'northwest'], ['südost', 'southeast'], ['südwest', 'southwest'],
+    ['vorne', 'front'], ['hinten', 'behind'], ['rechts', 'right'], ['links', 'left'],
+    ['rechts oben', 'upper right'], ['oben rechts', 'upper right'], ['links oben', 'upper left'], ['oben links', 'upper left'],
+    ['rechts unten', 'lower right'], ['unten rechts', 'lower right'], ['links unten', 'lower left'], ['unten links', 'lower left']
+]);
+
+export {
+    colors,
+    directions
+};
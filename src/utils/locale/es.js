@@ -0,0 +1,36 @@
+// Spanish vocabulary
+// Color names map to English color names (names spelled the same in English, like "orange", need no entry) and
+// direction names to compass or camera-relative direction names understood by the server
+
+const colors = new Map([
+    ['rojo', 'red'], ['roja', 'red'],
+    ['naranja', 'orange'],
+    ['amarillo', 'yellow'], ['amarilla', 'yellow'],
+    ['verde', 'green'],
+    ['azul', 'blue'],
+    ['azul marino', 'navy'],
+    ['celeste', 'skyblue'],
+    ['turquesa', 'turquoise'],
+    ['morado', 'purple'], ['morada', 'purple'],
+    ['violeta', 'violet'],
+    ['rosa', 'pink'], ['rosado', 'pink'], ['rosada', 'pink'],
+    ['marrón', 'brown'], ['café', 'brown'],
+    ['blanco', 'white'], ['blanca', 'white'],
+    ['negro', 'black'], ['negra', 'black'],
+    ['gris', 'gray'],
+    ['plateado', 'silver'], ['plata', 'silver'],
+    ['dorado', 'gold'], ['oro', 'gold']
+]);
+
+const directions = new Map([
+    ['norte', 'north'], ['sur', 'south'], ['este', 'east'], ['oeste', 'west'],
+    ['noreste', 'northeast'], ['nordeste', 'northeast'], ['noroeste', 'northwest'],
+    ['sureste', 'southeast'], ['sudeste', 'southeast'], ['suroeste', 'southwest'], ['sudoeste', 'southwest'],
+    ['delante', 'front'], ['detrás', 'behind'], ['derecha', 'right'], ['izquierda', 'left'],
+    ['arriba a la derecha', 'upper right'], ['arriba a la izquierda', 'upper left']
+]);
+
+export {
+    colors,
+    directions
+};
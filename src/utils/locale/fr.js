@@ -0,0 +1,30 @@
+// French color and direction names (see es.js for the format)
+
+const colors = new Map([
+    ['rouge', 'red'],
+    ['jaune', 'yellow'],
+    ['vert', 'green'], ['verte', 'green'],
+    ['bleu', 'blue'], ['bleue', 'blue'],
+    ['bleu marine', 'navy'],
+    ['bleu ciel', 'skyblue'],
+    ['violette', 'purple'],
+    ['rose', 'pink'],
+    ['marron', 'brown'], ['brun', 'brown'], ['brune', 'brown'],
+    ['blanc', 'white'], ['blanche', 'white'],
+    ['noir', 'black'], ['noire', 'black'],
+    ['gris', 'gray'], ['grise', 'gray'],
+    ['argent', 'silver'], ['argenté', 'silver'],
+    ['or', 'gold'], ['doré', 'gold']
+]);
+
+const directions = new Map([
+    ['nord', 'north'], ['sud', 'south'], ['est', 'east'], ['ouest', 'west'],
+    ['nord-est', 'northeast'], ['nord-ouest', 'northwest'], ['sud-est', 'southeast'], ['sud-ouest', 'southwest'],
+    ['devant', 'front'], ['derrière', 'behind'], ['droite', 'right'], ['gauche', 'left'],
+    ['en haut à droite', 'upper right'], ['en haut à gauche', 'upper left']
+]);
+
+export {
+    colors,
+    directions
+};
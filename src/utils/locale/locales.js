@@ -0,0 +1,67 @@
+// Locale vocabulary registry
+// Each locale provides tables that map localized color and direction names to the English names the server understands.
+// Add a locale by registering its tables (see es.js for the format).
+
+import * as es from './es.js';
+import * as fr from './fr.js';
+import * as de from './de.js';
+
+/**
+ * Registered locales by code
+ * Map<localeCode, {name: string, colors: Map<string, string>, directions: Map<string, string>}>
+ */
+const localeTables = new Map();
+
+/**
+ * Register (or replace) a locale's vocabulary tables
+ * @param {string} code - Locale code (e.g., "es")
+ * @param {{name: string, colors?: Map<string, string>, directions?: Map<string, string>}} tables - Localized name to
+ *   English color name, and localized name to English compass direction name
+ */
+function registerLocale(code, { name, colors = new Map(), directions = new Map() }) {
+    localeTables.set(code.toLowerCase(), { name, colors, directions });
+}
+
+registerLocale('es', { name: 'Spanish', ...es });
+registerLocale('fr', { name: 'French', ...fr });
+registerLocale('de', { name: 'German', ...de });
+
+// Fold a word for matching: lowercase, accents removed, "ß" as "ss", whitespace collapsed
+function foldLocaleWord(word) {
+    return word
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/ß/g, 'ss')
+        .trim()
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Build one lookup from the tables of the active locales
+ * Earlier locales win when two locales use the same word differently
+ * @param {'colors'|'directions'} kind - Which table to merge
+ * @param {string[]} codes - Active locale codes, in priority order
+ * @param {function(string): string} [normalizeKey] - Normalization applied to localized names (defaults to foldLocaleWord);
+ *   lookups must apply the same normalization
+ * @returns {Map<string, string>} English name by normalized localized name
+ */
+function buildLocaleLookup(kind, codes, normalizeKey = foldLocaleWord) {
+    const lookup = new Map();
+    for (const code of codes) {
+        for (const [word, englishName] of localeTables.get(code)?.[kind] ?? []) {
+            const key = normalizeKey(word);
+            if (!lookup.has(key)) {
+                lookup.set(key, englishName);
+            }
+        }
+    }
+    return lookup;
+}
+
+export {
+    localeTables,
+    registerLocale,
+    foldLocaleWord,
+    buildLocaleLookup
+};